@@ -0,0 +1,64 @@
+import express from 'express';
+import cors from 'cors';
+import morgan from 'morgan';
+import authRoutes from './routes/authRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import productRoutes from './routes/productRoutes.js';
+import reportRoute from './routes/reportRoute.js';
+import moderationRoutes from './routes/moderationRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
+import reviewRoutes from './routes/reviewRoutes.js';
+import campusRoutes from './routes/campusRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import swaggerUi from 'swagger-ui-express';
+import swaggerSpec from './swagger.js';
+import { UPLOAD_DIR } from './utils/storage/diskStorage.js';
+
+// The Express app without a listening server, so tests can call it directly
+const app = express();
+
+// Behind a reverse proxy, TRUST_PROXY_HOPS lets req.ip (used for rate limits) see the client address
+if (process.env.TRUST_PROXY_HOPS) app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS));
+
+// Middlewares
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use(morgan('dev'));
+
+// Images saved by the local storage driver
+app.use('/uploads', express.static(UPLOAD_DIR));
+
+// Swagger UI setup
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+// API Routes
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/reports', reportRoute);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/campuses', campusRoutes);
+app.use('/api/categories', categoryRoutes);
+
+// Default route
+app.get('/', (req, res) => {
+  res.send('Unimart API is running... <a href="/api-docs">View API Docs</a>');
+});
+
+// 404 Handler
+app.use((req, res, next) => {
+  res.status(404).json({ message: 'Route not found' });
+});
+
+// Error Handler
+app.use((err, req, res, next) => {
+  console.error(err.stack);
+  res.status(500).json({ message: 'Something went wrong', error: err.message });
+});
+
+export default app;
@@ -0,0 +1,175 @@
+import { PrismaClient } from '@prisma/client';
+import bcrypt from 'bcrypt';
+import { HttpError } from '../utils/httpError.js';
+import { issueOtp, verifyOtp } from '../utils/otp.js';
+import { queueEmail, sendEmailInBackground } from '../utils/queue/index.js';
+import { exportUserData } from '../utils/dataExport.js';
+import { ACCOUNT_DELETION_GRACE_DAYS } from '../utils/accountDeletion.js';
+import { toPrivateUser, campusSummarySelect } from '../utils/serializers.js';
+import { requireCampusForEmail, findCampusForEmail, moveUserToCampus } from '../utils/campuses.js';
+
+const prisma = new PrismaClient();
+
+// @desc    Start changing the account email: a code goes to the new address and the current one is told
+// @route   POST /api/users/me/email
+// @access  Private
+export const requestEmailChange = async (req, res) => {
+  try {
+    const { newEmail, password } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    // A stolen token alone must not be enough to move the address password resets go to.
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) return res.status(401).json({ message: 'Incorrect password.' });
+
+    if (newEmail === user.email) return res.status(400).json({ message: 'That is already your email.' });
+
+    const taken = await prisma.user.findUnique({ where: { email: newEmail }, select: { id: true } });
+    if (taken) return res.status(409).json({ message: 'That email is already used by another account.' });
+
+    await requireCampusForEmail(newEmail);
+
+    // Issuing first means a cooldown refusal leaves any earlier pending address and code untouched.
+    const code = await issueOtp(user.id, 'change_email');
+    await prisma.user.update({ where: { id: user.id }, data: { pendingEmail: newEmail } });
+    await queueEmail(newEmail, 'emailChangeCode', { code, name: user.fullName }, { sensitive: true });
+    sendEmailInBackground(user.email, 'emailChangeRequested', { name: user.fullName, newEmail });
+
+    res.json({ message: `We sent a confirmation code to ${newEmail}.`, pendingEmail: newEmail });
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Request Email Change Error:', error);
+    res.status(500).json({ message: 'Failed to start email change.' });
+  }
+};
+
+// @desc    Finish changing the account email with the code sent to the new address
+// @route   POST /api/users/me/email/confirm
+// @access  Private
+export const confirmEmailChange = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    if (!user.pendingEmail) return res.status(400).json({ message: 'There is no email change to confirm.' });
+
+    await verifyOtp(user.id, 'change_email', req.body.otp);
+
+    // Conditional on the address the code was sent to, in case a newer request replaced it meanwhile.
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, pendingEmail: user.pendingEmail },
+      data: { email: user.pendingEmail, pendingEmail: null, isVerified: true },
+    });
+    if (!count) return res.status(409).json({ message: 'The email change was replaced by a newer one. Use the latest code.' });
+
+    // A student who moves to another university's address moves campus, listings included.
+    const campus = await findCampusForEmail(user.pendingEmail);
+    if (campus && campus.id !== user.campusId) await moveUserToCampus(user.id, campus.id);
+
+    sendEmailInBackground(user.email, 'emailChanged', { name: user.fullName, newEmail: user.pendingEmail });
+
+    const updated = await prisma.user.findUnique({
+      where: { id: user.id },
+      include: { privacy: true, campus: { select: campusSummarySelect } },
+    });
+    res.json(toPrivateUser(updated));
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'That email is already used by another account.' });
+    }
+    console.error('Confirm Email Change Error:', error);
+    res.status(500).json({ message: 'Failed to change email.' });
+  }
+};
+
+// @desc    Download everything the account holds as a JSON file
+// @route   GET /api/users/me/export
+// @access  Private
+export const exportMyData = async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.id);
+    const date = data.exportedAt.toISOString().slice(0, 10);
+
+    res.set('Content-Disposition', `attachment; filename="unimart-export-${date}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export Data Error:', error);
+    res.status(500).json({ message: 'Failed to export your data.' });
+  }
+};
+
+// @desc    Email a code that confirms deleting the account, for users who prefer it to their password
+// @route   POST /api/users/me/deletion/otp
+// @access  Private
+export const requestDeletionOtp = async (req, res) => {
+  try {
+    const code = await issueOtp(req.user.id, 'delete_account');
+    await queueEmail(req.user.email, 'accountDeletionCode', { code, name: req.user.fullName }, { sensitive: true });
+
+    res.json({ message: 'We sent a confirmation code to your email.' });
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Deletion OTP Error:', error);
+    res.status(500).json({ message: 'Failed to send confirmation code.' });
+  }
+};
+
+// @desc    Schedule the account for deletion, confirmed by password or emailed code
+// @route   POST /api/users/me/deletion
+// @access  Private
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password, otp } = req.body;
+
+    if (!password && !otp) {
+      return res.status(400).json({ message: 'Confirm with your password or the code we emailed you.' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({ message: 'Your account is already scheduled for deletion.' });
+    }
+
+    if (password) {
+      const isMatch = await bcrypt.compare(password, user.password);
+      if (!isMatch) return res.status(401).json({ message: 'Incorrect password.' });
+    } else {
+      await verifyOtp(user.id, 'delete_account', otp);
+    }
+
+    const scheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await prisma.user.update({ where: { id: user.id }, data: { deletionScheduledFor: scheduledFor } });
+    sendEmailInBackground(user.email, 'accountDeletionScheduled', { name: user.fullName, scheduledFor });
+
+    res.status(202).json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. You can cancel until then.`,
+      scheduledFor,
+    });
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Account Deletion Error:', error);
+    res.status(500).json({ message: 'Failed to schedule account deletion.' });
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   DELETE /api/users/me/deletion
+// @access  Private
+export const cancelAccountDeletion = async (req, res) => {
+  try {
+    // Conditional on a deletion still being pending, so this cannot race the purge job into a half-deleted account.
+    const { count } = await prisma.user.updateMany({
+      where: { id: req.user.id, deletionScheduledFor: { gt: new Date() } },
+      data: { deletionScheduledFor: null },
+    });
+    if (!count) return res.status(404).json({ message: 'Your account is not scheduled for deletion.' });
+
+    res.json({ message: 'Account deletion cancelled.' });
+  } catch (error) {
+    console.error('Cancel Account Deletion Error:', error);
+    res.status(500).json({ message: 'Failed to cancel account deletion.' });
+  }
+};
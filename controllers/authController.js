@@ -1,14 +1,25 @@
 import { PrismaClient } from '@prisma/client';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
-import { sendOTP } from '../utils/sendEmail.js';
+import { queueEmail, sendEmailInBackground } from '../utils/queue/index.js';
+import { issueOtp, verifyOtp, OTP_PURPOSES } from '../utils/otp.js';
+import { recordFailedLogin, clearFailedLogins } from '../middleware/rateLimitMiddleware.js';
+import { getAccountRestriction } from '../utils/accountStatus.js';
+import { HttpError } from '../utils/httpError.js';
+import { toPrivateUser, campusSummarySelect } from '../utils/serializers.js';
+import { requireCampusForEmail } from '../utils/campuses.js';
+import {
+  createSession,
+  rotateRefreshToken,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} from '../utils/sessions.js';
 
 const prisma = new PrismaClient();
 
-const generateOTP = () => Math.floor(100000 + Math.random() * 900000).toString();
-
-const generateToken = (user) => {
-  return jwt.sign({ id: user.id }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const OTP_EMAIL_TEMPLATES = {
+  verify_email: 'verifyEmail',
+  reset_password: 'passwordReset',
 };
 
 /**
@@ -38,6 +49,23 @@ const generateToken = (user) => {
  *           type: string
  *         address:
  *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *         campusId:
+ *           type: string
+ *           nullable: true
+ *         campus:
+ *           $ref: '#/components/schemas/CampusSummary'
+ *         pendingEmail:
+ *           type: string
+ *           nullable: true
+ *           description: New address waiting to be confirmed with POST /users/me/email/confirm
+ *         deletionScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the account will be deleted, if the user asked for it
  *         privacy:
  *           type: object
  *           properties:
@@ -59,11 +87,14 @@ const generateToken = (user) => {
  *           format: date-time
  *     PublicUser:
  *       type: object
+ *       description: How other users see an account. Contact fields only appear when the owner's privacy flags allow them.
  *       properties:
  *         id:
  *           type: string
  *         fullName:
  *           type: string
+ *         profileUrl:
+ *           type: string
  *         bio:
  *           type: string
  *         createdAt:
@@ -79,6 +110,70 @@ const generateToken = (user) => {
  *           type: string
  *         level:
  *           type: string
+ *         campus:
+ *           $ref: '#/components/schemas/CampusSummary'
+ *         privacy:
+ *           type: object
+ *           nullable: true
+ *           description: The owner's privacy flags
+ *         rating:
+ *           $ref: '#/components/schemas/SellerRating'
+ *           description: Only on GET /users/{id}; the same value as storefront.rating
+ *         storefront:
+ *           type: object
+ *           description: Only on GET /users/{id}
+ *           properties:
+ *             activeListings:
+ *               type: integer
+ *               description: Published, in-stock listings
+ *             itemsSold:
+ *               type: integer
+ *               description: Total quantity across completed orders
+ *             memberSince:
+ *               type: string
+ *               format: date-time
+ *             rating:
+ *               $ref: '#/components/schemas/SellerRating'
+ *     SellerRating:
+ *       type: object
+ *       properties:
+ *         average:
+ *           type: number
+ *           nullable: true
+ *           description: Mean of 1-5 ratings, one decimal; null before the first review
+ *         count:
+ *           type: integer
+ *     Review:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         reviewer:
+ *           $ref: '#/components/schemas/PublicUser'
+ *         sellerId:
+ *           type: string
+ *         productId:
+ *           type: string
+ *         productTitle:
+ *           type: string
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         comment:
+ *           type: string
+ *         verifiedPurchase:
+ *           type: boolean
+ *           description: The reviewer completed an order for this product
+ *         reply:
+ *           type: string
+ *           description: The seller's answer
+ *         repliedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
  *     Product:
  *       type: object
  *       properties:
@@ -92,20 +187,78 @@ const generateToken = (user) => {
  *           type: number
  *         imageUrl:
  *           type: string
+ *           description: Cover image
+ *         thumbnailUrl:
+ *           type: string
+ *           description: Cover thumbnail, the only image data in listings
+ *         images:
+ *           type: array
+ *           description: Full gallery, returned by GET /products/{id}
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
  *         category:
  *           type: string
+ *           description: Name of the category
  *         location:
  *           type: string
  *         availability:
+ *           type: integer
+ *           description: Number of items that can still be ordered
+ *         expiredAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set when the listing went stale; it no longer appears in search until edited
+ *         isDraft:
+ *           type: boolean
+ *           description: Unpublished; only the seller sees it
+ *         categoryId:
+ *           type: string
+ *           nullable: true
+ *           description: Null on listings from before the category tree, which only have the category name
+ *         attributes:
+ *           type: array
+ *           description: Values for the category's attributes, as text
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               value:
+ *                 type: string
+ *         campusId:
  *           type: string
+ *           nullable: true
+ *           description: The campus the seller belongs to
  *         seller:
- *           $ref: '#/components/schemas/User'
+ *           $ref: '#/components/schemas/PublicUser'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     StoredImage:
+ *       type: object
+ *       properties:
+ *         url:
+ *           type: string
+ *         thumbnailUrl:
+ *           type: string
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         image:
+ *           $ref: '#/components/schemas/StoredImage'
+ *         position:
+ *           type: integer
+ *         isCover:
+ *           type: boolean
  *     Report:
  *       type: object
  *       properties:
@@ -115,11 +268,170 @@ const generateToken = (user) => {
  *           $ref: '#/components/schemas/User'
  *         reportedUser:
  *           $ref: '#/components/schemas/User'
+ *         targetType:
+ *           type: string
+ *           enum: [user, product, message]
+ *         productId:
+ *           type: string
+ *         messageId:
+ *           type: string
+ *         category:
+ *           type: string
  *         reason:
  *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, reviewing, resolved, dismissed]
+ *         moderatorNotes:
+ *           type: string
  *         createdAt:
  *           type: string
  *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Order:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: object
+ *           nullable: true
+ *           description: Null once the listing is deleted; productTitle and unitPrice still describe it
+ *         productTitle:
+ *           type: string
+ *         unitPrice:
+ *           type: number
+ *         quantity:
+ *           type: integer
+ *         note:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, handed_over, completed, cancelled]
+ *         buyer:
+ *           $ref: '#/components/schemas/PublicUser'
+ *         seller:
+ *           $ref: '#/components/schemas/PublicUser'
+ *         cancelReason:
+ *           type: string
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         declinedAt:
+ *           type: string
+ *           format: date-time
+ *         handedOverAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [new_message, product_wishlisted, price_drop, sold_out, report_update, order_update]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         data:
+ *           type: object
+ *           description: IDs the client needs to open the related item (productId, fromUserId, reportId)
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     NotificationSettings:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: object
+ *           description: Notification type -> whether it is also sent by email
+ *           additionalProperties:
+ *             type: boolean
+ *     Campus:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         domains:
+ *           type: array
+ *           items:
+ *             type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Category:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         icon:
+ *           type: string
+ *           nullable: true
+ *         parentId:
+ *           type: string
+ *           nullable: true
+ *         attributes:
+ *           type: array
+ *           description: Declared on this category; listings also take those of its parents
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [text, number, boolean, select]
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               required:
+ *                 type: boolean
+ *         children:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Category'
+ *     CampusSummary:
+ *       type: object
+ *       nullable: true
+ *       description: Null for accounts made before campuses were set up
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
  */
 
 /**
@@ -128,23 +440,6 @@ const generateToken = (user) => {
  *   post:
  *     summary: Register a new user
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - fullName
- *               - email
- *               - password
- *             properties:
- *               fullName:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
  *     responses:
  *       201:
  *         description: OTP sent to email
@@ -158,7 +453,7 @@ const generateToken = (user) => {
  *                 user:
  *                   $ref: '#/components/schemas/User'
  *       400:
- *         description: Email already in use
+ *         description: Email already in use, or not on a campus domain once campuses are set up
  *       500:
  *         description: Server error
  */
@@ -169,10 +464,7 @@ export const register = async (req, res) => {
     const existing = await prisma.user.findUnique({ where: { email } });
     if (existing) return res.status(400).json({ message: 'Email already in use' });
 
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    await sendOTP(email, otp);
+    const campus = await requireCampusForEmail(email);
 
     const hashedPassword = await bcrypt.hash(password, 10);
     const user = await prisma.user.create({
@@ -180,13 +472,18 @@ export const register = async (req, res) => {
         fullName,
         email,
         password: hashedPassword,
-        otp,
-        otpExpiry,
+        campusId: campus?.id ?? null,
       },
+      include: { campus: { select: campusSummarySelect } },
     });
 
-    res.status(201).json({ message: 'OTP sent to email. Please verify to continue.', user });
+    // Delivery happens in the worker, so a slow mail server cannot hold up or fail registration.
+    const code = await issueOtp(user.id, 'verify_email');
+    await queueEmail(email, 'verifyEmail', { code, name: fullName }, { sensitive: true });
+
+    res.status(201).json({ message: 'OTP sent to email. Please verify to continue.', user: toPrivateUser(user) });
   } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ message: err.message });
     res.status(500).json({ message: 'Registration failed', error: err.message });
   }
 };
@@ -197,29 +494,13 @@ export const register = async (req, res) => {
  *   post:
  *     summary: Verify OTP for email verification or password reset
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - otp
- *               - purpose
- *             properties:
- *               email:
- *                 type: string
- *               otp:
- *                 type: string
- *               purpose:
- *                 type: string
- *                 enum: [verify, forgot-password]
  *     responses:
  *       200:
  *         description: OTP verified
  *       400:
  *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many incorrect attempts; request a new OTP
  *       404:
  *         description: User not found
  *       500:
@@ -229,59 +510,69 @@ export const verifyOTP = async (req, res) => {
   try {
     const { email, otp, purpose } = req.body;
 
-    if (!email || !otp || !purpose) {
-      return res.status(400).json({ message: 'Email, OTP, and purpose are required.' });
-    }
-
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    if (user.otp !== otp || user.otpExpiry < new Date()) {
-      return res.status(400).json({ message: 'Invalid or expired OTP' });
-    }
-
-    if (purpose === 'register') {
+    if (OTP_PURPOSES[purpose] === 'verify_email') {
       if (user.isVerified) return res.status(400).json({ message: 'Already verified' });
 
+      await verifyOtp(user.id, 'verify_email', otp);
       await prisma.user.update({
-        where: { email },
-        data: { isVerified: true, otp: null, otpExpiry: null },
+        where: { id: user.id },
+        data: { isVerified: true },
       });
 
       return res.status(200).json({ message: 'Email verified successfully' });
     }
 
-    if (purpose === 'forgot-password') {
-      return res.status(200).json({ message: 'OTP verified for password reset' });
-    }
-
-    return res.status(400).json({ message: 'Invalid purpose' });
+    // The reset code stays valid so it can be sent again with the new password.
+    await verifyOtp(user.id, 'reset_password', otp, { consume: false });
+    return res.status(200).json({ message: 'OTP verified for password reset' });
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Error verifying OTP' });
   }
 };
 
+/**
+ * @swagger
+ * /auth/resend-otp:
+ *   post:
+ *     summary: Send a new OTP
+ *     description: Replaces any earlier code for the same purpose. A new code can be requested once a minute.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: OTP resent
+ *       400:
+ *         description: Invalid purpose or already verified
+ *       404:
+ *         description: User not found
+ *       429:
+ *         description: A code was sent less than a minute ago
+ *       500:
+ *         description: Server error
+ */
 export const resendOTP = async (req, res) => {
   try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ message: 'Email is required.' });
+    const { email, purpose } = req.body;
 
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-
-    await prisma.user.update({
-      where: { email },
-      data: { otp, otpExpiry },
-    });
+    // Clients from before purposes send none. Their one code verified new accounts and reset
+    // passwords, so a verified account can only be after a reset.
+    const otpPurpose = purpose ? OTP_PURPOSES[purpose] : (user.isVerified ? 'reset_password' : 'verify_email');
+    if (otpPurpose === 'verify_email' && user.isVerified) {
+      return res.status(400).json({ message: 'Already verified' });
+    }
 
-    // resend otp
-    await sendOTP(email, otp);
+    const code = await issueOtp(user.id, otpPurpose);
+    await queueEmail(email, OTP_EMAIL_TEMPLATES[otpPurpose], { code, name: user.fullName }, { sensitive: true });
 
     return res.status(200).json({ message: 'OTP resent successfully' });
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Error resending OTP' });
   }
 };
@@ -293,20 +584,6 @@ export const resendOTP = async (req, res) => {
  *   post:
  *     summary: Login user
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
  *     responses:
  *       200:
  *         description: Login successful
@@ -319,10 +596,17 @@ export const resendOTP = async (req, res) => {
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Same as accessToken, for older clients
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       400:
  *         description: Invalid credentials
  *       403:
- *         description: Email not verified
+ *         description: Email not verified, or account suspended or banned
+ *       429:
+ *         description: Too many attempts from this address, or the account is locked after repeated wrong passwords. See the Retry-After header.
  *       500:
  *         description: Server error
  */
@@ -330,17 +614,26 @@ export const login = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    const user = await prisma.user.findUnique({ where: { email } });
+    const user = await prisma.user.findUnique({
+      where: { email },
+      include: { privacy: true, campus: { select: campusSummarySelect } },
+    });
     if (!user || !(await bcrypt.compare(password, user.password))) {
+      await recordFailedLogin(email);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
+    await clearFailedLogins(email);
 
     if (!user.isVerified) {
       return res.status(403).json({ message: 'Please verify your email before logging in.' });
     }
 
-    const token = generateToken(user);
-    res.status(200).json({ user, token });
+    const restriction = getAccountRestriction(user);
+    if (restriction) return res.status(403).json(restriction);
+
+    const { accessToken, refreshToken } = await createSession(user, req);
+    // `token` is kept for clients that predate refresh tokens
+    res.status(200).json({ user: toPrivateUser(user), token: accessToken, accessToken, refreshToken });
   } catch (err) {
     res.status(500).json({ message: 'Login failed', error: err.message });
   }
@@ -352,22 +645,13 @@ export const login = async (req, res) => {
  *   post:
  *     summary: Send OTP for password reset
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
  *     responses:
  *       200:
  *         description: OTP sent
  *       404:
  *         description: User not found
+ *       429:
+ *         description: A code was sent less than a minute ago
  *       500:
  *         description: Server error
  */
@@ -378,18 +662,12 @@ export const forgotPassword = async (req, res) => {
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    const otp = generateOTP();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-
-    await prisma.user.update({
-      where: { email },
-      data: { otp, otpExpiry },
-    });
-
-    await sendOTP(email, otp);
+    const code = await issueOtp(user.id, 'reset_password');
+    await queueEmail(email, 'passwordReset', { code, name: user.fullName }, { sensitive: true });
 
     res.status(200).json({ message: 'OTP sent to email for password reset.' });
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Error sending OTP' });
   }
 };
@@ -400,28 +678,13 @@ export const forgotPassword = async (req, res) => {
  *   post:
  *     summary: Reset password using OTP
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - otp
- *               - newPassword
- *             properties:
- *               email:
- *                 type: string
- *               otp:
- *                 type: string
- *               newPassword:
- *                 type: string
  *     responses:
  *       200:
  *         description: Password reset successfully
  *       400:
  *         description: Invalid or expired OTP
+ *       429:
+ *         description: Too many incorrect attempts; request a new OTP
  *       404:
  *         description: User not found
  *       500:
@@ -434,18 +697,87 @@ export const resetPassword = async (req, res) => {
     const user = await prisma.user.findUnique({ where: { email } });
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    if (user.otp !== otp || user.otpExpiry < new Date()) {
-      return res.status(400).json({ message: 'Invalid or expired OTP' });
-    }
+    await verifyOtp(user.id, 'reset_password', otp);
 
     const hashedPassword = await bcrypt.hash(newPassword, 10);
     await prisma.user.update({
       where: { email },
-      data: { password: hashedPassword, otp: null, otpExpiry: null },
+      data: { password: hashedPassword },
     });
+    await revokeAllSessions(user.id);
+    sendEmailInBackground(user.email, 'passwordChanged', { name: user.fullName });
 
-    res.status(200).json({ message: 'Password reset successfully. You can now log in.' });
+    res.status(200).json({ message: 'Password reset successfully. All devices were signed out; you can now log in.' });
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Error resetting password' });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+export const refreshSession = async (req, res) => {
+  try {
+    const tokens = await rotateRefreshToken(req.body.refreshToken);
+    res.status(200).json(tokens);
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Refresh Token Error:', error);
+    res.status(500).json({ message: 'Error refreshing session' });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, req.user.id);
+    res.status(200).json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error('Logout Error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+};
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.id);
+    res.status(200).json({ message: 'Logged out of all sessions.' });
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+};
+
+// @desc    List the current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+    res.status(200).json(sessions.map((session) => ({ ...session, current: session.id === req.sessionId })));
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    res.status(500).json({ message: 'Error fetching sessions' });
+  }
+};
+
+// @desc    Log out one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.params.id, req.user.id);
+    if (!revoked) return res.status(404).json({ message: 'Session not found' });
+
+    res.status(200).json({ message: 'Session logged out.' });
+  } catch (error) {
+    console.error('Delete Session Error:', error);
+    res.status(500).json({ message: 'Error logging out session' });
+  }
+};
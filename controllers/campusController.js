@@ -0,0 +1,101 @@
+import { PrismaClient } from '@prisma/client';
+import { attachMatchingUsers } from '../utils/campuses.js';
+
+const prisma = new PrismaClient();
+
+const normalizeDomains = (domains) => [...new Set(domains.map((domain) => domain.trim().toLowerCase().replace(/^@/, '')))];
+
+// A domain can only point at one campus, or sign-ups from it would land on either at random.
+const findDomainOwner = (domains, exceptId) => prisma.campus.findFirst({
+  where: { domains: { hasSome: domains }, ...(exceptId && { id: { not: exceptId } }) },
+  select: { name: true, domains: true },
+});
+
+const domainConflictMessage = (owner, domains) =>
+  `${domains.filter((domain) => owner.domains.includes(domain)).join(', ')} already belongs to ${owner.name}.`;
+
+// @desc    List the campuses this deployment serves
+// @route   GET /api/campuses
+// @access  Public
+export const listCampuses = async (req, res) => {
+  try {
+    const campuses = await prisma.campus.findMany({ orderBy: { name: 'asc' } });
+    res.json(campuses);
+  } catch (error) {
+    console.error('List Campuses Error:', error);
+    res.status(500).json({ message: 'Failed to fetch campuses.' });
+  }
+};
+
+// @desc    Add a campus; existing accounts on its domains join it
+// @route   POST /api/campuses
+// @access  Private (admin)
+export const createCampus = async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+    const domains = normalizeDomains(req.body.domains);
+
+    const owner = await findDomainOwner(domains);
+    if (owner) return res.status(409).json({ message: domainConflictMessage(owner, domains) });
+
+    const campus = await prisma.campus.create({ data: { name, slug, domains } });
+    const attachedUsers = await attachMatchingUsers(campus);
+
+    res.status(201).json({ ...campus, attachedUsers });
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'A campus with this slug already exists.' });
+    console.error('Create Campus Error:', error);
+    res.status(500).json({ message: 'Failed to create campus.' });
+  }
+};
+
+// @desc    Rename a campus or change its domains. Users already on it stay when a domain is removed.
+// @route   PATCH /api/campuses/:id
+// @access  Private (admin)
+export const updateCampus = async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+    const domains = req.body.domains && normalizeDomains(req.body.domains);
+
+    const campus = await prisma.campus.findUnique({ where: { id: req.params.id } });
+    if (!campus) return res.status(404).json({ message: 'Campus not found.' });
+
+    if (domains) {
+      const owner = await findDomainOwner(domains, campus.id);
+      if (owner) return res.status(409).json({ message: domainConflictMessage(owner, domains) });
+    }
+
+    const updated = await prisma.campus.update({
+      where: { id: campus.id },
+      data: { name, slug, domains },
+    });
+    const attachedUsers = domains ? await attachMatchingUsers(updated) : 0;
+
+    res.json({ ...updated, attachedUsers });
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'A campus with this slug already exists.' });
+    console.error('Update Campus Error:', error);
+    res.status(500).json({ message: 'Failed to update campus.' });
+  }
+};
+
+// @desc    Remove a campus
+// @route   DELETE /api/campuses/:id
+// @access  Private (admin)
+export const deleteCampus = async (req, res) => {
+  try {
+    const campus = await prisma.campus.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!campus) return res.status(404).json({ message: 'Campus not found.' });
+
+    // Members are left without a campus until another campus claims their email domain.
+    await prisma.$transaction([
+      prisma.user.updateMany({ where: { campusId: campus.id }, data: { campusId: null } }),
+      prisma.product.updateMany({ where: { campusId: campus.id }, data: { campusId: null } }),
+      prisma.campus.delete({ where: { id: campus.id } }),
+    ]);
+    res.json({ message: 'Campus deleted.' });
+  } catch (error) {
+    console.error('Delete Campus Error:', error);
+    res.status(500).json({ message: 'Failed to delete campus.' });
+  }
+};
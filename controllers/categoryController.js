@@ -0,0 +1,168 @@
+import { PrismaClient } from '@prisma/client';
+import { getCategoryChain, attributeDefinitions, getCategoryWithDescendantIds } from '../utils/categories.js';
+
+const prisma = new PrismaClient();
+
+// Nests a flat list under its parents, roots first, each level by name.
+const buildTree = (categories, parentId = null) => categories
+  .filter((category) => (category.parentId ?? null) === parentId)
+  .map((category) => ({ ...category, children: buildTree(categories, category.id) }));
+
+// Attribute keys must be unique within a category, and select attributes need something to choose from.
+const checkAttributes = (attributes = []) => {
+  const keys = attributes.map((attribute) => attribute.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) return `The attribute ${duplicate} is declared twice.`;
+
+  const emptySelect = attributes.find((attribute) => attribute.type === 'select' && !attribute.options?.length);
+  if (emptySelect) return `The select attribute ${emptySelect.key} needs at least one option.`;
+
+  return null;
+};
+
+const toAttributeData = (attributes) => attributes.map(({ key, label, type, options = [], required = false }) => ({
+  key,
+  label,
+  type,
+  options: type === 'select' ? options : [],
+  required,
+}));
+
+// @desc    The whole category tree
+// @route   GET /api/categories
+// @access  Public
+export const listCategories = async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({ orderBy: { name: 'asc' } });
+    res.json(buildTree(categories));
+  } catch (error) {
+    console.error('List Categories Error:', error);
+    res.status(500).json({ message: 'Failed to fetch categories.' });
+  }
+};
+
+// @desc    One category with its path from the root, its children and every attribute its listings take
+// @route   GET /api/categories/:id
+// @access  Public
+export const getCategoryById = async (req, res) => {
+  try {
+    const chain = await getCategoryChain(req.params.id);
+    if (!chain) return res.status(404).json({ message: 'Category not found.' });
+
+    const category = chain.at(-1);
+    const children = await prisma.category.findMany({ where: { parentId: category.id }, orderBy: { name: 'asc' } });
+
+    res.json({
+      ...category,
+      path: chain.map(({ id, name, slug }) => ({ id, name, slug })),
+      children,
+      allAttributes: [...attributeDefinitions(chain).values()],
+    });
+  } catch (error) {
+    console.error('Get Category Error:', error);
+    res.status(500).json({ message: 'Failed to fetch category.' });
+  }
+};
+
+// @desc    Add a category, optionally under a parent
+// @route   POST /api/categories
+// @access  Private (admin)
+export const createCategory = async (req, res) => {
+  try {
+    const { name, slug, icon, parentId, attributes = [] } = req.body;
+
+    const problem = checkAttributes(attributes);
+    if (problem) return res.status(400).json({ message: problem });
+
+    if (parentId && !(await prisma.category.findUnique({ where: { id: parentId }, select: { id: true } }))) {
+      return res.status(400).json({ message: 'Parent category not found.' });
+    }
+
+    const category = await prisma.category.create({
+      data: { name, slug, icon, parentId: parentId ?? null, attributes: toAttributeData(attributes) },
+    });
+
+    res.status(201).json(category);
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'A category with this slug already exists.' });
+    console.error('Create Category Error:', error);
+    res.status(500).json({ message: 'Failed to create category.' });
+  }
+};
+
+// @desc    Rename, move or change the attributes of a category. Existing listings keep the values they have.
+// @route   PATCH /api/categories/:id
+// @access  Private (admin)
+export const updateCategory = async (req, res) => {
+  try {
+    const { name, slug, icon, parentId, attributes } = req.body;
+
+    const category = await prisma.category.findUnique({ where: { id: req.params.id } });
+    if (!category) return res.status(404).json({ message: 'Category not found.' });
+
+    if (attributes) {
+      const problem = checkAttributes(attributes);
+      if (problem) return res.status(400).json({ message: problem });
+    }
+
+    if (parentId) {
+      // Moving a category under itself or one of its own descendants would cut that branch off the tree.
+      const subtree = await getCategoryWithDescendantIds(category.id);
+      if (subtree.includes(parentId)) {
+        return res.status(400).json({ message: 'A category cannot be moved under itself or one of its subcategories.' });
+      }
+      if (!(await prisma.category.findUnique({ where: { id: parentId }, select: { id: true } }))) {
+        return res.status(400).json({ message: 'Parent category not found.' });
+      }
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const saved = await tx.category.update({
+        where: { id: category.id },
+        data: {
+          name,
+          slug,
+          icon,
+          ...(parentId !== undefined && { parentId }),
+          ...(attributes && { attributes: toAttributeData(attributes) }),
+        },
+      });
+      if (name && name !== category.name) {
+        await tx.product.updateMany({ where: { categoryId: category.id }, data: { category: name } });
+      }
+      return saved;
+    });
+
+    res.json(updated);
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'A category with this slug already exists.' });
+    console.error('Update Category Error:', error);
+    res.status(500).json({ message: 'Failed to update category.' });
+  }
+};
+
+// @desc    Remove a category that has no subcategories or listings
+// @route   DELETE /api/categories/:id
+// @access  Private (admin)
+export const deleteCategory = async (req, res) => {
+  try {
+    const category = await prisma.category.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!category) return res.status(404).json({ message: 'Category not found.' });
+
+    const [children, products] = await Promise.all([
+      prisma.category.count({ where: { parentId: category.id } }),
+      prisma.product.count({ where: { categoryId: category.id } }),
+    ]);
+    if (children || products) {
+      return res.status(409).json({
+        message: 'This category still has subcategories or listings. Move them to another category first.',
+      });
+    }
+
+    await prisma.category.delete({ where: { id: category.id } });
+    res.json({ message: 'Category deleted.' });
+  } catch (error) {
+    console.error('Delete Category Error:', error);
+    res.status(500).json({ message: 'Failed to delete category.' });
+  }
+};
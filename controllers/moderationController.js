@@ -0,0 +1,275 @@
+import { PrismaClient } from '@prisma/client';
+import { hasRole } from '../middleware/authMiddleware.js';
+import { pageLimit, cursorArgs, paginate } from '../utils/pagination.js';
+import { disconnectUser } from '../utils/socket.js';
+import { sendEmailInBackground } from '../utils/queue/index.js';
+import { notifyReportUpdate } from '../utils/notifications.js';
+
+const prisma = new PrismaClient();
+
+export const REPORT_STATUSES = ['open', 'reviewing', 'resolved', 'dismissed'];
+export const ACTION_TYPES = ['warn', 'suspend', 'ban', 'reinstate'];
+export const ROLES = ['user', 'moderator', 'admin'];
+export const MAX_SUSPENSION_DAYS = 365;
+
+const userSummary = { select: { id: true, fullName: true, email: true, profileUrl: true } };
+
+const reportInclude = {
+  reporter: userSummary,
+  reportedUser: userSummary,
+  reviewedBy: { select: { id: true, fullName: true } },
+  product: { select: { id: true, title: true, imageUrl: true, isHidden: true } },
+  message: { select: { id: true, content: true, isHidden: true, createdAt: true } },
+};
+
+// Hides or restores the product or message a report points at; user reports have nothing to hide.
+const setReportTargetHidden = (tx, report, isHidden) => {
+  if (report.productId) return tx.product.update({ where: { id: report.productId }, data: { isHidden } });
+  if (report.messageId) return tx.message.update({ where: { id: report.messageId }, data: { isHidden } });
+  return null;
+};
+
+// @desc    List reports, newest first
+// @route   GET /api/moderation/reports?status=&targetType=&category=&reportedUserId=&reporterId=&limit=&cursor=
+// @access  Moderator
+export const listReports = async (req, res) => {
+  try {
+    const { status, targetType, category, reportedUserId, reporterId, cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const rows = await prisma.report.findMany({
+      where: {
+        ...(status && { status }),
+        ...(targetType && { targetType }),
+        ...(category && { category }),
+        ...(reportedUserId && { reportedUserId }),
+        ...(reporterId && { reporterId }),
+      },
+      include: reportInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...cursorArgs(cursor, limit),
+    });
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ reports: items, nextCursor });
+  } catch (error) {
+    console.error('List Reports Error:', error);
+    res.status(500).json({ message: 'Failed to fetch reports.' });
+  }
+};
+
+// @desc    Get a user's standing, every report against them and past moderation actions
+// @route   GET /api/moderation/users/:id/reports
+// @access  Moderator
+export const getUserReports = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        fullName: true,
+        email: true,
+        profileUrl: true,
+        role: true,
+        suspendedUntil: true,
+        bannedAt: true,
+        createdAt: true,
+      },
+    });
+
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const [reports, actions] = await Promise.all([
+      prisma.report.findMany({
+        where: { reportedUserId: id },
+        include: reportInclude,
+        orderBy: { createdAt: 'desc' },
+      }),
+      prisma.moderationAction.findMany({
+        where: { userId: id },
+        include: { moderator: { select: { id: true, fullName: true } } },
+        orderBy: { createdAt: 'desc' },
+      }),
+    ]);
+
+    res.json({ user, reports, actions });
+  } catch (error) {
+    console.error('Get User Reports Error:', error);
+    res.status(500).json({ message: 'Failed to fetch user reports.' });
+  }
+};
+
+// @desc    Change a report's status and notes, and hide or restore the reported product or message
+// @route   PATCH /api/moderation/reports/:id
+// @access  Moderator
+export const updateReport = async (req, res) => {
+  try {
+    const { status, notes, hideTarget } = req.body;
+
+    const report = await prisma.report.findUnique({ where: { id: req.params.id } });
+    if (!report) return res.status(404).json({ message: 'Report not found.' });
+
+    if (hideTarget !== undefined && report.targetType === 'user') {
+      return res.status(400).json({ message: 'Only product and message reports have content to hide.' });
+    }
+
+    // Hiding puts an open report under review; dismissing a report restores its content.
+    const nextStatus = status || (hideTarget && report.status === 'open' ? 'reviewing' : undefined);
+    const hidden = hideTarget ?? (status === 'dismissed' ? false : undefined);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (hidden !== undefined) await setReportTargetHidden(tx, report, hidden);
+
+      return tx.report.update({
+        where: { id: report.id },
+        data: {
+          ...(nextStatus && { status: nextStatus }),
+          ...(notes !== undefined && { moderatorNotes: notes }),
+          reviewedBy: { connect: { id: req.user.id } },
+        },
+        include: reportInclude,
+      });
+    });
+
+    if (updated.status !== report.status) {
+      notifyReportUpdate(updated).catch((error) => console.error('Report Notification Error:', error));
+    }
+
+    res.json({ message: 'Report updated.', report: updated });
+  } catch (error) {
+    console.error('Update Report Error:', error);
+    res.status(500).json({ message: 'Failed to update report.' });
+  }
+};
+
+// @desc    Warn, suspend, ban or reinstate a user, optionally resolving the report that prompted it
+// @route   POST /api/moderation/users/:id/actions
+// @access  Moderator (only admins may act on moderators and admins)
+export const takeUserAction = async (req, res) => {
+  try {
+    const { action, reason, durationDays, reportId } = req.body;
+
+    // The schema checks the range; only whether a duration is needed depends on the action.
+    if (action === 'suspend' && durationDays === undefined) {
+      return res.status(400).json({ message: 'durationDays is required for a suspension.' });
+    }
+
+    const target = await prisma.user.findUnique({ where: { id: req.params.id } });
+    if (!target) return res.status(404).json({ message: 'User not found.' });
+
+    if (target.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot take moderation action on yourself.' });
+    }
+    if (hasRole(target, 'moderator') && !hasRole(req.user, 'admin')) {
+      return res.status(403).json({ message: 'Only admins can take action on staff accounts.' });
+    }
+
+    if (reportId) {
+      const report = await prisma.report.findUnique({ where: { id: reportId } });
+      if (!report || report.reportedUserId !== target.id) {
+        return res.status(400).json({ message: 'Report not found for this user.' });
+      }
+    }
+
+    const expiresAt = action === 'suspend' ? new Date(Date.now() + durationDays * 24 * 60 * 60 * 1000) : null;
+
+    const userChanges = {
+      suspend: { suspendedUntil: expiresAt },
+      ban: { bannedAt: new Date() },
+      reinstate: { suspendedUntil: null, bannedAt: null },
+    }[action];
+
+    let resolvedReport = null;
+    const moderationAction = await prisma.$transaction(async (tx) => {
+      if (userChanges) await tx.user.update({ where: { id: target.id }, data: userChanges });
+
+      if (reportId) {
+        resolvedReport = await tx.report.update({
+          where: { id: reportId },
+          data: { status: 'resolved', reviewedById: req.user.id },
+        });
+      }
+
+      return tx.moderationAction.create({
+        data: {
+          userId: target.id,
+          moderatorId: req.user.id,
+          type: action,
+          reason,
+          expiresAt,
+          reportId,
+        },
+      });
+    });
+
+    if (action === 'suspend' || action === 'ban') disconnectUser(target.id);
+    if (resolvedReport) {
+      notifyReportUpdate(resolvedReport).catch((error) => console.error('Report Notification Error:', error));
+    }
+    sendEmailInBackground(target.email, 'moderationOutcome', {
+      name: target.fullName,
+      action,
+      reason,
+      until: expiresAt,
+    });
+
+    res.status(201).json({ message: 'Moderation action recorded.', action: moderationAction });
+  } catch (error) {
+    console.error('Moderation Action Error:', error);
+    res.status(500).json({ message: 'Failed to apply moderation action.' });
+  }
+};
+
+// @desc    Take down an abusive review; it disappears from the seller's profile and rating
+// @route   DELETE /api/moderation/reviews/:id
+// @access  Moderator
+export const removeReview = async (req, res) => {
+  try {
+    const review = await prisma.review.findUnique({ where: { id: req.params.id } });
+    if (!review) return res.status(404).json({ message: 'Review not found.' });
+    if (review.removedAt) return res.status(400).json({ message: 'Review already removed.' });
+
+    const updated = await prisma.review.update({
+      where: { id: review.id },
+      data: {
+        removedAt: new Date(),
+        removedById: req.user.id,
+        removalReason: req.body?.reason,
+      },
+    });
+
+    res.json({ message: 'Review removed.', review: updated });
+  } catch (error) {
+    console.error('Remove Review Error:', error);
+    res.status(500).json({ message: 'Failed to remove review.' });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/moderation/users/:id/role
+// @access  Admin
+export const setUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role.' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { role },
+      select: { id: true, fullName: true, email: true, role: true },
+    });
+
+    res.json({ message: 'Role updated.', user: updated });
+  } catch (error) {
+    console.error('Set Role Error:', error);
+    res.status(500).json({ message: 'Failed to update role.' });
+  }
+};
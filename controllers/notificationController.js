@@ -0,0 +1,119 @@
+import { PrismaClient } from '@prisma/client';
+import { pageLimit, cursorArgs, paginate } from '../utils/pagination.js';
+import { NOTIFICATION_TYPES, getEmailTypes } from '../utils/notifications.js';
+
+const prisma = new PrismaClient();
+
+const unread = { readAt: null };
+
+// @desc    List the current user's notifications, newest first
+// @route   GET /api/notifications?unreadOnly=&limit=&cursor=
+// @access  Private
+export const listNotifications = async (req, res) => {
+  try {
+    const { cursor, unreadOnly } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const rows = await prisma.notification.findMany({
+      where: { userId: req.user.id, ...(unreadOnly === true && unread) },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...cursorArgs(cursor, limit),
+    });
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ notifications: items, nextCursor });
+  } catch (error) {
+    console.error('List Notifications Error:', error);
+    res.status(500).json({ message: 'Failed to fetch notifications.' });
+  }
+};
+
+// @desc    Count the current user's unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadNotificationCount = async (req, res) => {
+  try {
+    const count = await prisma.notification.count({ where: { userId: req.user.id, ...unread } });
+    res.json({ count });
+  } catch (error) {
+    console.error('Unread Notification Count Error:', error);
+    res.status(500).json({ message: 'Failed to count notifications.' });
+  }
+};
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private (only the recipient)
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await prisma.notification.findUnique({ where: { id: req.params.id } });
+    if (!notification || notification.userId !== req.user.id) {
+      return res.status(404).json({ message: 'Notification not found.' });
+    }
+
+    const updated = notification.readAt
+      ? notification
+      : await prisma.notification.update({ where: { id: notification.id }, data: { readAt: new Date() } });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Mark Notification Read Error:', error);
+    res.status(500).json({ message: 'Failed to mark notification as read.' });
+  }
+};
+
+// @desc    Mark every notification as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, ...unread },
+      data: { readAt: new Date() },
+    });
+    res.json({ message: 'All notifications marked as read.', count });
+  } catch (error) {
+    console.error('Mark All Notifications Read Error:', error);
+    res.status(500).json({ message: 'Failed to mark notifications as read.' });
+  }
+};
+
+const settingsResponse = (emailTypes) => ({
+  email: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, emailTypes.includes(type)])),
+});
+
+// @desc    Get which notification types are also sent by email
+// @route   GET /api/notifications/settings
+// @access  Private
+export const getNotificationSettings = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { notificationSettings: true } });
+    res.json(settingsResponse(getEmailTypes(user)));
+  } catch (error) {
+    console.error('Get Notification Settings Error:', error);
+    res.status(500).json({ message: 'Failed to fetch notification settings.' });
+  }
+};
+
+// @desc    Turn email on or off per notification type; types left out keep their current setting
+// @route   PUT /api/notifications/settings
+// @access  Private
+export const updateNotificationSettings = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { notificationSettings: true } });
+    const current = getEmailTypes(user);
+    const emailTypes = NOTIFICATION_TYPES.filter((type) => email[type] ?? current.includes(type));
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { notificationSettings: { set: { emailTypes } } },
+    });
+
+    res.json(settingsResponse(emailTypes));
+  } catch (error) {
+    console.error('Update Notification Settings Error:', error);
+    res.status(500).json({ message: 'Failed to update notification settings.' });
+  }
+};
@@ -0,0 +1,241 @@
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from '../utils/httpError.js';
+import { pageLimit, cursorArgs, paginate } from '../utils/pagination.js';
+import { hasBlocked } from '../utils/blocks.js';
+import { enqueue } from '../utils/queue/index.js';
+import { notify } from '../utils/notifications.js';
+import { userSummarySelect } from '../utils/serializers.js';
+import { publicProductWhere } from '../utils/filters.js';
+
+const prisma = new PrismaClient();
+
+export const ORDER_STATUSES = ['pending', 'accepted', 'declined', 'handed_over', 'completed', 'cancelled'];
+
+// Orders in these states still hold their quantity and keep the listing from being deleted.
+// A handed-over order the buyer never confirms is completed by the worker after a few days.
+export const OPEN_ORDER_STATUSES = ['pending', 'accepted', 'handed_over'];
+
+// Every status an order can move to: who may move it, from which statuses, and what it does to stock.
+const STATUS_CHANGES = {
+  accepted: {
+    by: ['seller'],
+    from: ['pending'],
+    timestamp: 'acceptedAt',
+    describe: (actor, title) => `${actor} accepted your order for "${title}".`,
+  },
+  declined: {
+    by: ['seller'],
+    from: ['pending'],
+    timestamp: 'declinedAt',
+    releasesStock: true,
+    describe: (actor, title) => `${actor} declined your order for "${title}".`,
+  },
+  handed_over: {
+    by: ['seller'],
+    from: ['accepted'],
+    timestamp: 'handedOverAt',
+    describe: (actor, title) => `${actor} handed over "${title}". Confirm the order once you have it.`,
+  },
+  completed: {
+    by: ['buyer'],
+    from: ['handed_over'],
+    timestamp: 'completedAt',
+    describe: (actor, title) => `${actor} confirmed receiving "${title}".`,
+  },
+  cancelled: {
+    by: ['buyer', 'seller'],
+    from: ['pending', 'accepted'],
+    timestamp: 'cancelledAt',
+    releasesStock: true,
+    describe: (actor, title) => `${actor} cancelled the order for "${title}".`,
+  },
+};
+
+export const SETTABLE_ORDER_STATUSES = Object.keys(STATUS_CHANGES);
+
+const statusLabel = (status) => status.replace('_', ' ');
+
+const orderInclude = {
+  product: { select: { id: true, title: true, price: true, imageUrl: true, thumbnailUrl: true } },
+  buyer: { select: userSummarySelect },
+  seller: { select: userSummarySelect },
+};
+
+// The other side of the order hears about every change, in-app and by their chosen channels.
+const notifyOrderParty = (userId, order, title, body) => notify(userId, {
+  type: 'order_update',
+  title,
+  body,
+  data: { orderId: order.id, status: order.status },
+}).catch((error) => console.error('Order Notification Error:', error));
+
+// @desc    Order a quantity of a product; the stock is held until the seller declines or either side cancels
+// @route   POST /api/orders
+// @access  Private
+export const createOrder = async (req, res) => {
+  try {
+    const { productId, quantity, note } = req.body;
+
+    const product = await prisma.product.findUnique({ where: { id: productId } });
+    if (!product || product.isHidden || product.isDraft) return res.status(404).json({ message: 'Product not found.' });
+
+    if (product.sellerId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot order your own product.' });
+    }
+    if (product.expiredAt) {
+      return res.status(400).json({ message: 'This listing has expired. Ask the seller to renew it.' });
+    }
+
+    const [blockedBySeller, blockedSeller] = await Promise.all([
+      hasBlocked(product.sellerId, req.user.id),
+      hasBlocked(req.user.id, product.sellerId),
+    ]);
+    if (blockedSeller) return res.status(403).json({ message: 'You have blocked this seller. Unblock them to order.' });
+    if (blockedBySeller) return res.status(403).json({ message: 'You cannot order from this seller.' });
+
+    const { order, remaining } = await prisma.$transaction(async (tx) => {
+      // Only takes the stock if enough is left at this moment, so concurrent orders cannot oversell.
+      const { count } = await tx.product.updateMany({
+        where: { id: product.id, availability: { gte: quantity }, ...publicProductWhere },
+        data: { availability: { decrement: quantity } },
+      });
+      if (!count) throw new HttpError(409, 'Not enough items left to fill this order.');
+
+      const created = await tx.order.create({
+        data: {
+          productId: product.id,
+          buyerId: req.user.id,
+          sellerId: product.sellerId,
+          productTitle: product.title,
+          unitPrice: product.price,
+          quantity,
+          note,
+        },
+        include: orderInclude,
+      });
+      const { availability } = await tx.product.findUnique({ where: { id: product.id }, select: { availability: true } });
+
+      return { order: created, remaining: availability };
+    });
+
+    if (!remaining) {
+      enqueue('notifications.wishlistUpdate', { productId: product.id, type: 'sold_out' })
+        .catch((error) => console.error('Wishlist Notification Error:', error));
+    }
+    notifyOrderParty(
+      product.sellerId,
+      order,
+      'New order',
+      `${req.user.fullName} ordered ${quantity} × "${product.title}".`,
+    );
+
+    res.status(201).json(order);
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Create Order Error:', error);
+    res.status(500).json({ message: 'Failed to place order.' });
+  }
+};
+
+// @desc    List the current user's orders as a buyer or as a seller, newest first
+// @route   GET /api/orders?role=buyer|seller&status=&limit=&cursor=
+// @access  Private
+export const listOrders = async (req, res) => {
+  try {
+    const { role, status, cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const rows = await prisma.order.findMany({
+      where: {
+        [role === 'buyer' ? 'buyerId' : 'sellerId']: req.user.id,
+        ...(status && { status }),
+      },
+      include: orderInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...cursorArgs(cursor, limit),
+    });
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ orders: items, nextCursor });
+  } catch (error) {
+    console.error('List Orders Error:', error);
+    res.status(500).json({ message: 'Failed to fetch orders.' });
+  }
+};
+
+// @desc    Get one order
+// @route   GET /api/orders/:id
+// @access  Private (buyer or seller)
+export const getOrderById = async (req, res) => {
+  try {
+    const order = await prisma.order.findUnique({ where: { id: req.params.id }, include: orderInclude });
+    if (!order || ![order.buyerId, order.sellerId].includes(req.user.id)) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    res.json(order);
+  } catch (error) {
+    console.error('Get Order Error:', error);
+    res.status(500).json({ message: 'Failed to fetch order.' });
+  }
+};
+
+// @desc    Move an order along: the seller accepts, declines or hands over, the buyer completes, either cancels
+// @route   PATCH /api/orders/:id
+// @access  Private (buyer or seller, depending on the status)
+export const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    const change = STATUS_CHANGES[status];
+
+    const order = await prisma.order.findUnique({ where: { id: req.params.id } });
+    if (!order || ![order.buyerId, order.sellerId].includes(req.user.id)) {
+      return res.status(404).json({ message: 'Order not found.' });
+    }
+
+    const role = order.sellerId === req.user.id ? 'seller' : 'buyer';
+    if (!change.by.includes(role)) {
+      return res.status(403).json({ message: `Only the ${change.by.join(' or ')} can mark an order as ${statusLabel(status)}.` });
+    }
+    if (!change.from.includes(order.status)) {
+      return res.status(409).json({
+        message: `An order that is ${statusLabel(order.status)} cannot be marked as ${statusLabel(status)}.`,
+      });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      // Conditional on the status we checked, so two simultaneous changes cannot both apply.
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: {
+          status,
+          [change.timestamp]: new Date(),
+          ...(status === 'cancelled' && { cancelReason: reason ?? null, cancelledBy: req.user.id }),
+        },
+      });
+      if (!count) throw new HttpError(409, 'This order was just changed. Reload it and try again.');
+
+      if (change.releasesStock && order.productId) {
+        await tx.product.updateMany({
+          where: { id: order.productId },
+          data: { availability: { increment: order.quantity } },
+        });
+      }
+
+      return tx.order.findUnique({ where: { id: order.id }, include: orderInclude });
+    });
+
+    notifyOrderParty(
+      role === 'seller' ? order.buyerId : order.sellerId,
+      updated,
+      `Order ${statusLabel(status)}`,
+      change.describe(req.user.fullName, order.productTitle),
+    );
+
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Update Order Error:', error);
+    res.status(500).json({ message: 'Failed to update order.' });
+  }
+};
@@ -1,105 +1,334 @@
 import { PrismaClient } from '@prisma/client';
-
+import { pageLimit, cursorArgs, paginate } from '../utils/pagination.js';
+import { HttpError } from '../utils/httpError.js';
+import { hasRole } from '../middleware/authMiddleware.js';
+import { createMessage } from '../utils/messaging.js';
+import { getBlockedUserIds, hasBlocked } from '../utils/blocks.js';
+import { addProductImages, deleteProductImageFiles, galleryInclude } from '../utils/productImages.js';
+import { enqueue } from '../utils/queue/index.js';
+import { publicUserSelect, toPublicProduct } from '../utils/serializers.js';
+import { resolveCampusFilter } from '../utils/campuses.js';
+import { listedProductWhere, publishedProductWhere } from '../utils/filters.js';
+import {
+  getCategoryChain,
+  getCategoryWithDescendantIds,
+  validateProductAttributes,
+  attributeFilterWhere,
+} from '../utils/categories.js';
+import { OPEN_ORDER_STATUSES } from './orderController.js';
 
 const prisma = new PrismaClient();
 
-// @desc    Create a new product
+// @desc    Create a new product (JSON, or multipart with up to MAX_PRODUCT_IMAGES "images" files)
 // @route   POST /api/products
 // @access  Private
 export const createProduct = async (req, res) => {
+  let product;
   try {
-    const { title, description, price, category, imageUrl, location, availability } = req.body;
+    const { title, description, price, categoryId, location, availability, draft } = req.body;
 
-    if (!title || !price || !category) {
-      return res.status(400).json({ message: 'Title, Price, and Category are required.' });
-    }
+    const categoryChain = await getCategoryChain(categoryId);
+    if (!categoryChain) return res.status(400).json({ message: 'Choose a category from the category list.' });
+    const attributes = validateProductAttributes(categoryChain, req.body.attributes);
 
-    const product = await prisma.product.create({
+    product = await prisma.product.create({
       data: {
         title,
         description,
         price,
-        imageUrl,
-        category,
+        category: categoryChain.at(-1).name,
+        categoryNode: { connect: { id: categoryId } },
+        attributes,
         location,
         availability,
+        isDraft: draft === true,
         seller: { connect: { id: req.user.id } },
+        ...(req.user.campusId && { campus: { connect: { id: req.user.campusId } } }),
       },
     });
 
-    res.status(201).json(product);
+    if (req.files?.length) await addProductImages(product.id, req.files);
+
+    const created = await prisma.product.findUnique({ where: { id: product.id }, include: galleryInclude });
+    res.status(201).json(created);
   } catch (error) {
+    // A rejected image fails the whole create, so the half-made listing is removed
+    if (product) await prisma.product.delete({ where: { id: product.id } }).catch(() => {});
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     console.error(error);
     res.status(500).json({ message: 'Failed to create product.' });
   }
 };
 
-// @desc    Get all products
-// @route   GET /api/products
-// @access  Public
+export const SORT_OPTIONS = {
+  newest: [{ createdAt: 'desc' }, { id: 'desc' }],
+  oldest: [{ createdAt: 'asc' }, { id: 'asc' }],
+  price_asc: [{ price: 'asc' }, { id: 'asc' }],
+  price_desc: [{ price: 'desc' }, { id: 'desc' }],
+};
+
+// @desc    Get all products (search, filter, sort, cursor pagination)
+// @route   GET /api/products?q=&category=&categoryId=&attributes=&location=&minPrice=&maxPrice=&sellerId=&inStock=&campus=&sort=&limit=&cursor=
+// @access  Public (optional auth)
 export const getAllProducts = async (req, res) => {
   try {
-    const products = await prisma.product.findMany({
-      orderBy: { createdAt: 'desc' },
-      include: { seller: true },
+    const { q, category, categoryId, attributes, location, minPrice, maxPrice, sellerId, inStock, campus, sort, cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    // Signed-in shoppers never see listings from people they blocked
+    const blockedIds = req.user ? await getBlockedUserIds(req.user.id) : [];
+    const campusId = await resolveCampusFilter(campus, req.user);
+
+    let categoryIds;
+    let attributeWhere = [];
+    if (categoryId) {
+      const categoryChain = await getCategoryChain(categoryId);
+      if (!categoryChain) return res.status(404).json({ message: 'Category not found.' });
+      categoryIds = await getCategoryWithDescendantIds(categoryId);
+      if (attributes) attributeWhere = attributeFilterWhere(categoryChain, attributes);
+    } else if (attributes) {
+      return res.status(400).json({ message: 'Attribute filters need a categoryId.' });
+    }
+
+    const where = {
+      AND: [
+        listedProductWhere,
+        ...attributeWhere,
+        ...(q?.trim()
+          ? [{
+            OR: [
+              { title: { contains: q.trim(), mode: 'insensitive' } },
+              { description: { contains: q.trim(), mode: 'insensitive' } },
+            ],
+          }]
+          : []),
+      ],
+      ...(campusId && { campusId }),
+      ...(categoryIds && { categoryId: { in: categoryIds } }),
+      ...(category && { category: { equals: category, mode: 'insensitive' } }),
+      ...(location && { location: { contains: location, mode: 'insensitive' } }),
+      ...((sellerId || blockedIds.length > 0) && {
+        sellerId: {
+          ...(sellerId && { equals: sellerId }),
+          ...(blockedIds.length > 0 && { notIn: blockedIds }),
+        },
+      }),
+      ...(inStock === true && { availability: { gt: 0 } }),
+      ...((minPrice !== undefined || maxPrice !== undefined) && {
+        price: {
+          ...(minPrice !== undefined && { gte: minPrice }),
+          ...(maxPrice !== undefined && { lte: maxPrice }),
+        },
+      }),
+    };
+
+    const rows = await prisma.product.findMany({
+      where,
+      orderBy: SORT_OPTIONS[sort],
+      include: { seller: { select: publicUserSelect } },
+      ...cursorArgs(cursor, limit),
+    });
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ products: items.map(toPublicProduct), nextCursor });
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    res.status(500).json({ message: 'Failed to fetch products.' });
+  }
+};
+
+// @desc    A seller's storefront: their listed products
+// @route   GET /api/users/:id/products?inStock=&sort=&limit=&cursor=
+// @access  Public (optional auth)
+export const getSellerProducts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { inStock, sort, cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const seller = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!seller) return res.status(404).json({ message: 'User not found.' });
+
+    // Same rule as the feed: no listings between people where one has blocked the other
+    if (req.user && req.user.id !== seller.id
+      && ((await hasBlocked(seller.id, req.user.id)) || (await hasBlocked(req.user.id, seller.id)))) {
+      return res.status(403).json({ message: 'You cannot view this user\'s listings.' });
+    }
+
+    const rows = await prisma.product.findMany({
+      where: {
+        ...listedProductWhere,
+        sellerId: seller.id,
+        ...(inStock === true && { availability: { gt: 0 } }),
+      },
+      orderBy: SORT_OPTIONS[sort],
+      ...cursorArgs(cursor, limit),
     });
-    res.json(products);
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ products: items, nextCursor });
   } catch (error) {
+    console.error('Get Seller Products Error:', error);
     res.status(500).json({ message: 'Failed to fetch products.' });
   }
 };
 
+// What the seller can filter their own listings by
+export const MY_LISTING_FILTERS = {
+  draft: { isDraft: true },
+  active: { AND: [listedProductWhere, { availability: { gt: 0 } }] },
+  sold_out: { AND: [publishedProductWhere, { availability: { lte: 0 } }] },
+  expired: { expiredAt: { not: null } },
+  hidden: { isHidden: true },
+};
+
+// @desc    The signed-in seller's own listings, including drafts, sold-out, expired and hidden ones
+// @route   GET /api/products/mine?status=&sort=&limit=&cursor=
+// @access  Private
+export const getMyProducts = async (req, res) => {
+  try {
+    const { status, sort, cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const rows = await prisma.product.findMany({
+      where: { sellerId: req.user.id, ...(status && MY_LISTING_FILTERS[status]) },
+      orderBy: SORT_OPTIONS[sort],
+      ...cursorArgs(cursor, limit),
+    });
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ products: items, nextCursor });
+  } catch (error) {
+    console.error('Get My Products Error:', error);
+    res.status(500).json({ message: 'Failed to fetch your products.' });
+  }
+};
+
 // @desc    Get single product by ID
 // @route   GET /api/products/:id
-// @access  Public
+// @access  Public (optional auth)
 export const getProductById = async (req, res) => {
   try {
     const product = await prisma.product.findUnique({
       where: { id: req.params.id },
-      include: { seller: true },
+      include: { seller: { select: publicUserSelect }, ...galleryInclude },
     });
 
-    if (!product) return res.status(404).json({ message: 'Product not found.' });
+    // Hidden listings stay visible to their seller and to moderators only, drafts to their seller
+    const isSeller = req.user?.id === product?.sellerId;
+    const canSeeHidden = isSeller || (req.user && hasRole(req.user, 'moderator'));
+    if (!product || (product.isHidden && !canSeeHidden) || (product.isDraft && !isSeller)) {
+      return res.status(404).json({ message: 'Product not found.' });
+    }
 
-    res.json(product);
+    res.json(toPublicProduct(product));
   } catch (error) {
     res.status(500).json({ message: 'Error getting product.' });
   }
 };
 
+// @desc    Start (or continue) a conversation with the seller about this product
+// @route   POST /api/products/:id/message
+// @access  Private
+export const messageSeller = async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, title: true, sellerId: true, isHidden: true, isDraft: true },
+    });
+
+    if (!product || product.isHidden || product.isDraft) return res.status(404).json({ message: 'Product not found.' });
+
+    if (product.sellerId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot message yourself about your own product.' });
+    }
+
+    const content = req.body.content?.trim() || `Hi, is "${product.title}" still available?`;
+
+    const message = await createMessage({
+      fromUserId: req.user.id,
+      toUserId: product.sellerId,
+      content,
+      productId: product.id,
+    });
+
+    res.status(201).json(message);
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Message Seller Error:', error);
+    res.status(500).json({ message: 'Failed to message seller.' });
+  }
+};
+
 // @desc    Update a product
 // @route   PUT /api/products/:id
 // @access  Private (only owner)
 export const updateProduct = async (req, res) => {
   try {
-    const { title, description, price, category, imageUrl, location, availability } = req.body;
+    const { title, description, price, categoryId, attributes, location, availability, draft } = req.body;
 
-    const product = await prisma.product.findUnique({
-      where: { id: req.params.id },
-      include: { seller: true },
-    });
+    const product = await prisma.product.findUnique({ where: { id: req.params.id } });
 
     if (!product) return res.status(404).json({ message: 'Product not found.' });
 
-    if (product.seller.id !== req.user.id) {
+    if (product.sellerId !== req.user.id) {
       return res.status(403).json({ message: 'You are not authorized to update this product.' });
     }
 
+    // Sent attributes replace the current set. Moving to another category without sending any starts
+    // its attributes afresh, since the old ones belong to the old category.
+    let categoryData = {};
+    if (categoryId || attributes) {
+      const keepCurrent = !attributes && categoryId === product.categoryId;
+      const values = keepCurrent ? Object.fromEntries(product.attributes.map(({ key, value }) => [key, value])) : attributes;
+      const categoryChain = await getCategoryChain(categoryId ?? product.categoryId);
+      if (!categoryChain) {
+        return res.status(400).json({
+          message: categoryId ? 'Choose a category from the category list.' : 'Choose a category before adding attributes.',
+        });
+      }
+      categoryData = {
+        category: categoryChain.at(-1).name,
+        categoryId: categoryChain.at(-1).id,
+        attributes: validateProductAttributes(categoryChain, values),
+      };
+    }
+
     const updated = await prisma.product.update({
       where: { id: req.params.id },
       data: {
         title: title || product.title,
         description: description || product.description,
-        price: price || product.price,
-        category: category || product.category,
-        imageUrl: imageUrl || product.imageUrl,
+        price: price ?? product.price,
+        ...categoryData,
         location: location || product.location,
-        availability: availability || product.availability,
+        availability: availability ?? product.availability, // 0 is a real value: sold out
+        isDraft: draft ?? product.isDraft ?? false,
+        expiredAt: null, // editing a listing brings it back if it had expired
       },
     });
 
+    // Shoppers who saved the listing hear about a lower price or the last item going. The update
+    // itself has succeeded, so a queue failure is only logged.
+    try {
+      if (updated.price !== null && product.price !== null && updated.price < product.price) {
+        await enqueue('notifications.wishlistUpdate', {
+          productId: updated.id,
+          type: 'price_drop',
+          oldPrice: product.price,
+          newPrice: updated.price,
+        });
+      }
+      if (product.availability > 0 && updated.availability === 0) {
+        await enqueue('notifications.wishlistUpdate', { productId: updated.id, type: 'sold_out' });
+      }
+    } catch (error) {
+      console.error('Wishlist Notification Error:', error);
+    }
+
     res.json(updated);
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     res.status(500).json({ message: 'Error updating product.' });
   }
 };
@@ -111,18 +340,24 @@ export const deleteProduct = async (req, res) => {
   try {
     const product = await prisma.product.findUnique({
       where: { id: req.params.id },
-      include: { seller: true },
+      include: { images: true },
     });
 
     if (!product) return res.status(404).json({ message: 'Product not found.' });
 
-    if (product.seller.id !== req.user.id) {
+    if (product.sellerId !== req.user.id) {
       return res.status(403).json({ message: 'You are not authorized to delete this product.' });
     }
 
+    const openOrders = await prisma.order.count({ where: { productId: product.id, status: { in: OPEN_ORDER_STATUSES } } });
+    if (openOrders) {
+      return res.status(409).json({ message: 'This product has open orders. Complete or cancel them before deleting it.' });
+    }
+
     await prisma.product.delete({ where: { id: req.params.id } });
+    await deleteProductImageFiles(product.images);
     res.json({ message: 'Product deleted successfully.' });
   } catch (error) {
     res.status(500).json({ message: 'Error deleting product.' });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,123 @@
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from '../utils/httpError.js';
+import { addProductImages, deleteProductImageFiles, galleryInclude, syncCover } from '../utils/productImages.js';
+
+const prisma = new PrismaClient();
+
+// Loads a product for an owner-only gallery change, answering 404/403 itself when it cannot continue.
+const findOwnedProduct = async (req, res) => {
+  const product = await prisma.product.findUnique({ where: { id: req.params.id } });
+
+  if (!product) {
+    res.status(404).json({ message: 'Product not found.' });
+    return null;
+  }
+
+  if (product.sellerId !== req.user.id) {
+    res.status(403).json({ message: 'You are not authorized to update this product.' });
+    return null;
+  }
+
+  return product;
+};
+
+const getGallery = async (productId) => {
+  const product = await prisma.product.findUnique({ where: { id: productId }, include: galleryInclude });
+  return product.images;
+};
+
+// @desc    Add images to a product's gallery (multipart field "images")
+// @route   POST /api/products/:id/images
+// @access  Private (only owner)
+export const addImages = async (req, res) => {
+  try {
+    if (!req.files?.length) return res.status(400).json({ message: 'No images provided.' });
+
+    const product = await findOwnedProduct(req, res);
+    if (!product) return;
+
+    await addProductImages(product.id, req.files);
+
+    res.status(201).json(await getGallery(product.id));
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Add Product Images Error:', error);
+    res.status(500).json({ message: 'Failed to add images.' });
+  }
+};
+
+// @desc    Remove one image from a product's gallery
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private (only owner)
+export const removeImage = async (req, res) => {
+  try {
+    const product = await findOwnedProduct(req, res);
+    if (!product) return;
+
+    const image = await prisma.productImage.findFirst({ where: { id: req.params.imageId, productId: product.id } });
+    if (!image) return res.status(404).json({ message: 'Image not found.' });
+
+    await prisma.productImage.delete({ where: { id: image.id } });
+    await syncCover(product.id);
+    await deleteProductImageFiles([image]);
+
+    res.json(await getGallery(product.id));
+  } catch (error) {
+    console.error('Remove Product Image Error:', error);
+    res.status(500).json({ message: 'Failed to remove image.' });
+  }
+};
+
+// @desc    Reorder a product's gallery; imageIds must list every image exactly once
+// @route   PUT /api/products/:id/images/order
+// @access  Private (only owner)
+export const reorderImages = async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    const product = await findOwnedProduct(req, res);
+    if (!product) return;
+
+    const images = await prisma.productImage.findMany({ where: { productId: product.id }, select: { id: true } });
+    const currentIds = new Set(images.map((image) => image.id));
+
+    if (imageIds.length !== currentIds.size || !imageIds.every((id) => currentIds.has(id))) {
+      return res.status(400).json({ message: 'imageIds must contain each of the product\'s images exactly once.' });
+    }
+
+    await prisma.$transaction(imageIds.map((id, position) => prisma.productImage.update({
+      where: { id },
+      data: { position },
+    })));
+    await syncCover(product.id);
+
+    res.json(await getGallery(product.id));
+  } catch (error) {
+    console.error('Reorder Product Images Error:', error);
+    res.status(500).json({ message: 'Failed to reorder images.' });
+  }
+};
+
+// @desc    Choose the cover image shown in product listings
+// @route   PUT /api/products/:id/images/:imageId/cover
+// @access  Private (only owner)
+export const setCoverImage = async (req, res) => {
+  try {
+    const product = await findOwnedProduct(req, res);
+    if (!product) return;
+
+    const image = await prisma.productImage.findFirst({ where: { id: req.params.imageId, productId: product.id } });
+    if (!image) return res.status(404).json({ message: 'Image not found.' });
+
+    await prisma.$transaction([
+      prisma.productImage.updateMany({ where: { productId: product.id }, data: { isCover: false } }),
+      prisma.productImage.update({ where: { id: image.id }, data: { isCover: true } }),
+    ]);
+    await syncCover(product.id);
+
+    res.json(await getGallery(product.id));
+  } catch (error) {
+    console.error('Set Cover Image Error:', error);
+    res.status(500).json({ message: 'Failed to set cover image.' });
+  }
+};
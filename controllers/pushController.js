@@ -0,0 +1,78 @@
+import { PrismaClient } from '@prisma/client';
+import { getVapidPublicKey } from '../utils/push/index.js';
+
+const prisma = new PrismaClient();
+
+const subscriptionSelect = { id: true, endpoint: true, expirationTime: true, userAgent: true, createdAt: true };
+
+// @desc    Get the VAPID public key browsers need to subscribe
+// @route   GET /api/users/push/public-key
+// @access  Public
+export const getPushPublicKey = (req, res) => {
+  const publicKey = getVapidPublicKey();
+  if (!publicKey) return res.status(503).json({ message: 'Push notifications are not configured.' });
+  res.json({ publicKey });
+};
+
+// @desc    Register this browser's push subscription (the PushSubscription JSON from the browser)
+// @route   POST /api/users/push/subscriptions
+// @access  Private
+export const subscribePush = async (req, res) => {
+  try {
+    const { endpoint, expirationTime, keys } = req.body;
+    const data = {
+      userId: req.user.id,
+      p256dh: keys.p256dh,
+      auth: keys.auth,
+      expirationTime: expirationTime ? new Date(expirationTime) : null,
+      userAgent: req.get('user-agent')?.slice(0, 300) ?? null,
+    };
+
+    // Keyed by endpoint: resubscribing refreshes the keys, and a shared device follows whoever signed in last.
+    const subscription = await prisma.pushSubscription.upsert({
+      where: { endpoint },
+      create: { endpoint, ...data },
+      update: data,
+      select: subscriptionSelect,
+    });
+
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Push Subscribe Error:', error);
+    res.status(500).json({ message: 'Failed to save push subscription.' });
+  }
+};
+
+// @desc    List the devices subscribed to push for the current user
+// @route   GET /api/users/push/subscriptions
+// @access  Private
+export const listPushSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await prisma.pushSubscription.findMany({
+      where: { userId: req.user.id },
+      select: subscriptionSelect,
+      orderBy: { createdAt: 'desc' },
+    });
+    res.json(subscriptions);
+  } catch (error) {
+    console.error('List Push Subscriptions Error:', error);
+    res.status(500).json({ message: 'Failed to fetch push subscriptions.' });
+  }
+};
+
+// @desc    Stop pushing to a browser, identified by its subscription endpoint
+// @route   DELETE /api/users/push/subscriptions
+// @access  Private
+export const unsubscribePush = async (req, res) => {
+  try {
+    const { count } = await prisma.pushSubscription.deleteMany({
+      where: { endpoint: req.body.endpoint, userId: req.user.id },
+    });
+    if (!count) return res.status(404).json({ message: 'Push subscription not found.' });
+
+    res.json({ message: 'Push subscription removed.' });
+  } catch (error) {
+    console.error('Push Unsubscribe Error:', error);
+    res.status(500).json({ message: 'Failed to remove push subscription.' });
+  }
+};
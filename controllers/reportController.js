@@ -2,24 +2,78 @@ import { PrismaClient } from '@prisma/client';
 
 const prisma = new PrismaClient();
 
-export const reportUser = async (req, res) => {
+// Reason categories a reporter may pick for each kind of target
+export const REPORT_CATEGORIES = {
+  user: ['spam', 'scam', 'harassment', 'impersonation', 'inappropriate_profile', 'other'],
+  product: ['counterfeit', 'prohibited_item', 'scam_pricing', 'misleading_listing', 'spam', 'other'],
+  message: ['harassment', 'hate_speech', 'spam', 'scam', 'other'],
+};
+
+// Looks up the reported item and the user responsible for it. Returns null when it does not exist
+// or (for messages) the reporter was not part of the conversation.
+const resolveTarget = async (targetType, targetId, reporterId) => {
+  if (targetType === 'user') {
+    const user = await prisma.user.findUnique({ where: { id: targetId }, select: { id: true } });
+    return user && { reportedUserId: user.id };
+  }
+
+  if (targetType === 'product') {
+    const product = await prisma.product.findUnique({ where: { id: targetId }, select: { id: true, sellerId: true } });
+    return product && { reportedUserId: product.sellerId, productId: product.id };
+  }
+
+  const message = await prisma.message.findUnique({ where: { id: targetId } });
+  if (!message || ![message.fromUserId, message.toUserId].includes(reporterId)) return null;
+  return { reportedUserId: message.fromUserId, messageId: message.id };
+};
+
+// @desc    Report a user, product or message
+// @route   POST /api/reports
+// @access  Private
+export const createReport = async (req, res) => {
   try {
-    const { reportedUserId, reason } = req.body;
+    const { targetType, category, reason } = req.body;
+    // reportedUserId is still accepted from clients that only know how to report users
+    const targetId = req.body.targetId || req.body.reportedUserId;
 
-    if (!reportedUserId || !reason) {
-      return res.status(400).json({ message: 'Please provide a reason and user to report.' });
+    if (!targetId) return res.status(400).json({ message: 'Please provide what you are reporting.' });
+    if (!REPORT_CATEGORIES[targetType].includes(category)) {
+      return res.status(400).json({
+        message: `category for a ${targetType} report must be one of: ${REPORT_CATEGORIES[targetType].join(', ')}.`,
+      });
+    }
+
+    const target = await resolveTarget(targetType, targetId, req.user.id);
+    if (!target) return res.status(404).json({ message: `The ${targetType} you are reporting was not found.` });
+
+    if (target.reportedUserId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot report yourself or your own content.' });
+    }
+
+    const existing = await prisma.report.findFirst({
+      where: {
+        reporterId: req.user.id,
+        targetType,
+        ...target,
+        status: { in: ['open', 'reviewing'] },
+      },
+    });
+    if (existing) {
+      return res.status(409).json({ message: `You already have an open report about this ${targetType}.` });
     }
 
     const report = await prisma.report.create({
       data: {
-        reporter: { connect: { id: req.user.id } },
-        reportedUser: { connect: { id: reportedUserId } },
+        reporterId: req.user.id,
+        targetType,
+        category,
         reason,
+        ...target,
       },
     });
 
-    res.status(201).json({ message: 'User reported successfully.', report });
+    res.status(201).json({ message: 'Report submitted successfully.', report });
   } catch (error) {
     res.status(500).json({ message: 'Failed to submit report.', error: error.message });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,138 @@
+import { PrismaClient } from '@prisma/client';
+import { pageLimit, cursorArgs, paginate } from '../utils/pagination.js';
+import { visibleReviews, getSellerRating } from '../utils/reviews.js';
+import { userSummarySelect } from '../utils/serializers.js';
+import { hasBlocked } from '../utils/blocks.js';
+import { unset } from '../utils/filters.js';
+
+const prisma = new PrismaClient();
+
+export const reviewInclude = {
+  reviewer: { select: userSummarySelect },
+};
+
+// @desc    Review the seller of a product you bought or talked to them about
+// @route   POST /api/reviews
+// @access  Private
+export const createReview = async (req, res) => {
+  try {
+    const { productId, rating, comment } = req.body;
+
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, title: true, sellerId: true },
+    });
+    if (!product) return res.status(404).json({ message: 'Product not found.' });
+
+    if (product.sellerId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot review your own product.' });
+    }
+
+    const existing = await prisma.review.findUnique({
+      where: { reviewerId_productId: { reviewerId: req.user.id, productId: product.id } },
+      select: { id: true },
+    });
+    if (existing) return res.status(409).json({ message: 'You have already reviewed this product.' });
+
+    const [blockedBySeller, blockedSeller] = await Promise.all([
+      hasBlocked(product.sellerId, req.user.id),
+      hasBlocked(req.user.id, product.sellerId),
+    ]);
+    if (blockedSeller || blockedBySeller) return res.status(403).json({ message: 'You cannot review this seller.' });
+
+    // Only people who dealt with the seller over this product may review it. A conversation counts
+    // once the seller has answered, so a single unsolicited message is not enough.
+    const [completedOrder, sellerReply] = await Promise.all([
+      prisma.order.findFirst({
+        where: { buyerId: req.user.id, productId: product.id, status: 'completed' },
+        select: { id: true },
+      }),
+      prisma.message.findFirst({
+        where: { productId: product.id, fromUserId: product.sellerId, toUserId: req.user.id },
+        select: { id: true },
+      }),
+    ]);
+    if (!completedOrder && !sellerReply) {
+      return res.status(403).json({
+        message: 'You can review a seller once you have completed an order for this product or they have replied to you about it.',
+      });
+    }
+
+    const review = await prisma.review.create({
+      data: {
+        reviewerId: req.user.id,
+        sellerId: product.sellerId,
+        productId: product.id,
+        productTitle: product.title,
+        rating,
+        comment,
+        verifiedPurchase: Boolean(completedOrder),
+        removedAt: null,
+      },
+      include: reviewInclude,
+    });
+
+    res.status(201).json(review);
+  } catch (error) {
+    if (error.code === 'P2002') return res.status(409).json({ message: 'You have already reviewed this product.' });
+    console.error('Create Review Error:', error);
+    res.status(500).json({ message: 'Failed to submit review.' });
+  }
+};
+
+// @desc    A seller's rating and reviews, newest first
+// @route   GET /api/users/:id/reviews?limit=&cursor=
+// @access  Public
+export const getSellerReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    const seller = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!seller) return res.status(404).json({ message: 'User not found.' });
+
+    const [rating, rows] = await Promise.all([
+      getSellerRating(seller.id),
+      prisma.review.findMany({
+        where: visibleReviews(seller.id),
+        include: reviewInclude,
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        ...cursorArgs(cursor, limit),
+      }),
+    ]);
+
+    const { items, nextCursor } = paginate(rows, limit);
+    res.json({ rating, reviews: items, nextCursor });
+  } catch (error) {
+    console.error('Get Seller Reviews Error:', error);
+    res.status(500).json({ message: 'Failed to fetch reviews.' });
+  }
+};
+
+// @desc    Answer a review of you; each review gets one reply
+// @route   POST /api/reviews/:id/reply
+// @access  Private (the reviewed seller)
+export const replyToReview = async (req, res) => {
+  try {
+    const review = await prisma.review.findUnique({ where: { id: req.params.id } });
+    if (!review || review.removedAt) return res.status(404).json({ message: 'Review not found.' });
+
+    if (review.sellerId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the reviewed seller can reply.' });
+    }
+
+    // Conditional on there being no reply yet, so a double submit cannot overwrite the first one.
+    const { count } = await prisma.review.updateMany({
+      where: { id: review.id, ...unset('reply') },
+      data: { reply: req.body.reply, repliedAt: new Date() },
+    });
+    if (!count) return res.status(409).json({ message: 'You have already replied to this review.' });
+
+    const updated = await prisma.review.findUnique({ where: { id: review.id }, include: reviewInclude });
+    res.json(updated);
+  } catch (error) {
+    console.error('Reply To Review Error:', error);
+    res.status(500).json({ message: 'Failed to reply to review.' });
+  }
+};
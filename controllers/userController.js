@@ -1,5 +1,16 @@
 import { PrismaClient } from '@prisma/client';
 import bcrypt from 'bcrypt';
+import { HttpError } from '../utils/httpError.js';
+import { createMessage, markMessageRead, markConversationRead, messageProductSelect, withoutHiddenContent } from '../utils/messaging.js';
+import { pageLimit, paginate } from '../utils/pagination.js';
+import { getBlockedUserIds, hasBlocked } from '../utils/blocks.js';
+import { storeImage, deleteStoredImage } from '../utils/images.js';
+import { revokeAllSessions } from '../utils/sessions.js';
+import { enqueue, sendEmailInBackground } from '../utils/queue/index.js';
+import { notify } from '../utils/notifications.js';
+import { getSellerRating } from '../utils/reviews.js';
+import { toPrivateUser, toPublicUser, toPublicProduct, publicUserSelect, userSummarySelect, campusSummarySelect } from '../utils/serializers.js';
+import { listedProductWhere } from '../utils/filters.js';
 
 
 const prisma = new PrismaClient();
@@ -11,11 +22,11 @@ export const getMyProfile = async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
-      select: { id: true, fullName: true, email: true, profileUrl: true, isVerified: true, department: true, level: true, bio: true, whatsappNum: true, address: true, privacy: true, createdAt: true, updatedAt: true }
+      include: { privacy: true, campus: { select: campusSummarySelect } },
     });
     if (!user) return res.status(404).json({ message: 'User not found.' });
 
-    res.json(user);
+    res.json(toPrivateUser(user));
   } catch (error) {
     res.status(500).json({ message: 'Error fetching profile.' });
   }
@@ -28,23 +39,16 @@ export const updateMyProfile = async (req, res) => {
   try {
     const { fullName, department, level, bio, whatsappNum, address, email, privacy } = req.body;
 
+    if (email !== undefined) {
+      return res.status(400).json({ message: 'Change your email with POST /api/users/me/email instead.' });
+    }
+
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
       include: { privacy: true },
     });
 
     if (!user) return res.status(404).json({ message: 'User not found.' });
-   const allowedPrivacyFields = ['showEmail', 'showWhatsapp', 'showAddress', 'showDepartment', 'showLevel'];
-
-const cleanPrivacyData = (privacy) => {
-  const result = {};
-  allowedPrivacyFields.forEach((key) => {
-    if (typeof privacy[key] === 'boolean') {
-      result[key] = privacy[key];
-    }
-  });
-  return result;
-};
 
     await prisma.$transaction(async (tx) => {
       await tx.user.update({
@@ -56,22 +60,19 @@ const cleanPrivacyData = (privacy) => {
           bio: bio || user.bio,
           whatsappNum: whatsappNum || user.whatsappNum,
           address: address || user.address,
-          email: email || user.email
         },
       });
 
       if (privacy) {
-  const privacyData = cleanPrivacyData(privacy);
-
   if (user.privacy) {
     await tx.privacy.update({
       where: { id: user.privacy.id },
-      data: privacyData,
+      data: privacy,
     });
   } else {
     await tx.privacy.create({
       data: {
-        ...privacyData,
+        ...privacy,
         user: { connect: { id: req.user.id } },
       },
     });
@@ -83,36 +84,68 @@ const cleanPrivacyData = (privacy) => {
     // Refetch the updated user with privacy included
     const updatedUser = await prisma.user.findUnique({
       where: { id: req.user.id },
-      include: { privacy: true },
+      include: { privacy: true, campus: { select: campusSummarySelect } },
     });
 
-    res.json({ message: 'Profile updated.', user: updatedUser });
+    res.json({ message: 'Profile updated.', user: toPrivateUser(updatedUser) });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Error updating profile.' });
   }
 };
 
+// @desc    Upload a new profile picture (multipart field "image")
+// @route   PUT /api/users/profile-pic
+// @access  Private
 export const profilePicsUpdate = async (req, res) => {
+  let avatar;
   try {
-    const { profileUrl } = req.body;  // Now expecting the final Cloudinary URL
-
-    if (!profileUrl) {
+    if (!req.file) {
       return res.status(400).json({ message: 'No image provided.' });
     }
 
+    avatar = await storeImage(req.file.buffer, 'avatars');
+    // Queued first: if saving the user fails, the job finds no matching avatar and cleans up.
+    await enqueue('images.createThumbnail', { target: 'avatar', id: req.user.id, folder: 'avatars', image: avatar });
+
     const updatedUser = await prisma.user.update({
       where: { id: req.user.id },
-      data: { profileUrl },
+      data: { avatar, profileUrl: avatar.url },
+      include: { privacy: true, campus: { select: campusSummarySelect } },
     });
 
-    res.json({ message: 'Profile picture updated.', user: updatedUser });
+    await deleteStoredImage(req.user.avatar);
+    res.json({ message: 'Profile picture updated.', user: toPrivateUser(updatedUser) });
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    await deleteStoredImage(avatar);
     console.error('Profile Pic Update Error:', error);
     res.status(500).json({ message: 'Failed to update profile picture.' });
   }
 };
 
+// @desc    Remove the profile picture
+// @route   DELETE /api/users/profile-pic
+// @access  Private
+export const removeProfilePic = async (req, res) => {
+  try {
+    if (!req.user.avatar && !req.user.profileUrl) {
+      return res.status(404).json({ message: 'No profile picture to remove.' });
+    }
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { avatar: { unset: true }, profileUrl: null },
+    });
+
+    await deleteStoredImage(req.user.avatar);
+    res.json({ message: 'Profile picture removed.' });
+  } catch (error) {
+    console.error('Profile Pic Remove Error:', error);
+    res.status(500).json({ message: 'Failed to remove profile picture.' });
+  }
+};
+
 
 
 // @desc    Change password
@@ -122,10 +155,6 @@ export const changePassword = async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ message: 'Both current and new passwords are required.' });
-    }
-
     const user = await prisma.user.findUnique({ where: { id: req.user.id } });
     if (!user) return res.status(404).json({ message: 'User not found.' });
 
@@ -137,66 +166,119 @@ export const changePassword = async (req, res) => {
       where: { id: req.user.id },
       data: { password: hashedPassword },
     });
+    await revokeAllSessions(req.user.id);
+    sendEmailInBackground(user.email, 'passwordChanged', { name: user.fullName });
 
-    res.json({ message: 'Password changed successfully.' });
+    res.json({ message: 'Password changed successfully. Please log in again on all devices.' });
   } catch (error) {
     res.status(500).json({ message: 'Error changing password.' });
   }
 };
 
+// Reputation shown on a public profile: what they sell now, what they have sold and how buyers rated them.
+const getStorefrontStats = async (user) => {
+  const [activeListings, sold, rating] = await Promise.all([
+    prisma.product.count({ where: { ...listedProductWhere, sellerId: user.id, availability: { gt: 0 } } }),
+    prisma.order.aggregate({ where: { sellerId: user.id, status: 'completed' }, _sum: { quantity: true } }),
+    getSellerRating(user.id),
+  ]);
+
+  return {
+    activeListings,
+    itemsSold: sold._sum.quantity ?? 0,
+    memberSince: user.createdAt,
+    rating,
+  };
+};
+
 // @desc    Get another student's profile by ID
 // @route   GET /api/users/:id
-// @access  Public
+// @access  Public (optional auth)
 export const getUserById = async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.params.id },
-      select: {
-        id: true,
-        fullName: true,
-        profileUrl: true,
-        bio: true,
-        createdAt: true,
-        email: true,
-        whatsappNum: true,
-        address: true,
-        department: true,
-        level: true,
-        privacy: {
-          select: {
-            showEmail: true,
-            showWhatsapp: true,
-            showAddress: true,
-            showDepartment: true,
-            showLevel: true,
-          },
-        },
-      },
+      select: { ...publicUserSelect, deletedAt: true },
     });
 
-    if (!user) return res.status(404).json({ message: 'Student not found.' });
-
-    const publicProfile = {
-      id: user.id,
-      fullName: user.fullName,
-      bio: user.bio,
-      profileUrl: user.profileUrl,
-      createdAt: user.createdAt,
-      ...(user.privacy?.showEmail && { email: user.email }),
-      ...(user.privacy?.showWhatsapp && { whatsappNum: user.whatsappNum }),
-      ...(user.privacy?.showAddress && { address: user.address }),
-      ...(user.privacy?.showDepartment && { department: user.department }),
-      ...(user.privacy?.showLevel && { level: user.level }),
-      privacy: user.privacy,  // Optional: include privacy for frontend checks
-    };
-
-    res.json(publicProfile);
+    if (!user || user.deletedAt) return res.status(404).json({ message: 'Student not found.' });
+
+    // Someone this user has blocked only gets enough to recognise the account
+    if (req.user && req.user.id !== user.id && await hasBlocked(user.id, req.user.id)) {
+      return res.json({ id: user.id, fullName: user.fullName, profileUrl: user.profileUrl, restricted: true });
+    }
+
+    const storefront = await getStorefrontStats(user);
+    // `rating` predates the storefront block and stays for clients that read it there
+    res.json({ ...toPublicUser(user), rating: storefront.rating, storefront });
   } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Error fetching profile.' });
   }
 };
 
+// @desc    Block a user
+// @route   POST /api/users/:id/block
+// @access  Private
+export const blockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) return res.status(400).json({ message: 'You cannot block yourself.' });
+
+    const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!user) return res.status(404).json({ message: 'User not found.' });
+
+    if (await hasBlocked(req.user.id, id)) return res.status(400).json({ message: 'User already blocked.' });
+
+    await prisma.block.create({
+      data: { blockerId: req.user.id, blockedId: id },
+    });
+
+    res.status(201).json({ message: 'User blocked.' });
+  } catch (error) {
+    console.error('Block User Error:', error);
+    res.status(500).json({ message: 'Error blocking user.' });
+  }
+};
+
+// @desc    Unblock a user
+// @route   DELETE /api/users/:id/block
+// @access  Private
+export const unblockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.block.deleteMany({
+      where: { blockerId: req.user.id, blockedId: id },
+    });
+
+    if (!count) return res.status(404).json({ message: 'User is not blocked.' });
+
+    res.status(200).json({ message: 'User unblocked.' });
+  } catch (error) {
+    console.error('Unblock User Error:', error);
+    res.status(500).json({ message: 'Error unblocking user.' });
+  }
+};
+
+// @desc    List users the logged-in user has blocked
+// @route   GET /api/users/blocked
+// @access  Private
+export const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await prisma.block.findMany({
+      where: { blockerId: req.user.id },
+      include: { blocked: { select: userSummarySelect } },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    res.status(200).json(blocks.map((block) => ({ ...block.blocked, blockedAt: block.createdAt })));
+  } catch (error) {
+    console.error('Get Blocked Users Error:', error);
+    res.status(500).json({ message: 'Error fetching blocked users.' });
+  }
+};
 
 // @desc    Add product to wishlist
 // @route   POST /api/users/add-wishlist
@@ -205,6 +287,12 @@ export const addToWishlist = async (req, res) => {
   try {
     const { productId } = req.body;
 
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      select: { id: true, title: true, sellerId: true, isHidden: true, isDraft: true },
+    });
+    if (!product || product.isHidden || product.isDraft) return res.status(404).json({ message: 'Product not found.' });
+
     const existing = await prisma.wishlist.findFirst({
       where: {
         userId: req.user.id,
@@ -221,6 +309,15 @@ export const addToWishlist = async (req, res) => {
       },
     });
 
+    if (product.sellerId !== req.user.id) {
+      notify(product.sellerId, {
+        type: 'product_wishlisted',
+        title: 'Someone saved your listing',
+        body: `${req.user.fullName} added "${product.title}" to their wishlist.`,
+        data: { productId: product.id, userId: req.user.id },
+      }).catch((error) => console.error('Wishlist Notification Error:', error));
+    }
+
     res.status(200).json({ message: 'Added to wishlist.' });
   } catch (error) {
     console.error('Add Wishlist Error:', error);
@@ -261,18 +358,22 @@ export const removeFromWishlist = async (req, res) => {
 // @route   GET /api/users/wishlists
 // @access  Private
 export const getWishlist = async (req, res) => {
-  console.log(req.user)
   try {
+    const blockedIds = await getBlockedUserIds(req.user.id);
+
     const wishlist = await prisma.wishlist.findMany({
-      where: { userId: req.user.id },
+      where: {
+        userId: req.user.id,
+        ...(blockedIds.length > 0 && { product: { sellerId: { notIn: blockedIds } } }),
+      },
       include: {
         product: {
-          include: { seller: true }, // Include seller if needed for frontend
+          include: { seller: { select: publicUserSelect } },
         },
       },
     });
 
-    res.status(200).json(wishlist);
+    res.status(200).json(wishlist.map((entry) => ({ ...entry, product: toPublicProduct(entry.product) })));
   } catch (error) {
     console.error('Get Wishlist Error:', error);
     res.status(500).json({ message: 'Error fetching wishlist.' });
@@ -281,27 +382,17 @@ export const getWishlist = async (req, res) => {
 
 /**
  * Send a message to another user
- * @route POST /api/messages/send
+ * @route POST /api/users/message/send
  */
 export const sendMessage = async (req, res) => {
-  const { toUserId, content } = req.body;
-  console.log(req.body);
-
-  if (!toUserId || !content?.trim()) {
-    return res.status(400).json({ message: 'Recipient ID and message content are required.' });
-  }
+  const { toUserId, content, productId } = req.body;
 
   try {
-    const newMessage = await prisma.message.create({
-      data: {
-        fromUserId: req.user.id,
-        toUserId,
-        content,
-      },
-    });
+    const newMessage = await createMessage({ fromUserId: req.user.id, toUserId, content, productId });
 
     res.status(201).json(newMessage);
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     console.error('Send Message Error:', error);
     res.status(500).json({ message: 'Failed to send message.' });
   }
@@ -321,40 +412,179 @@ export const getUserMessages = async (req, res) => {
         ],
       },
       include: {
-        fromUser: { select: { id: true, fullName: true, profileUrl: true } },
-        toUser: { select: { id: true, fullName: true } },
+        fromUser: { select: userSummarySelect },
+        toUser: { select: userSummarySelect },
+        product: { select: messageProductSelect },
       },
       orderBy: { createdAt: 'desc' },
     });
 
-    res.status(200).json(messages);
+    res.status(200).json(messages.map(withoutHiddenContent));
   } catch (error) {
     console.error('Get User Messages Error:', error);
     res.status(500).json({ message: 'Failed to fetch messages.' });
   }
 };
 
+// Both directions of a one-to-one thread
+const threadWhere = (userId, otherUserId) => ({
+  OR: [
+    { fromUserId: userId, toUserId: otherUserId },
+    { fromUserId: otherUserId, toUserId: userId },
+  ],
+});
+
+// One page of the user's counterparts, most recent conversation first. Grouped in MongoDB so only
+// the page is loaded; ties on the last message time are broken by counterpart ID to keep pages stable.
+const findConversationPage = async (userId, after, limit) => {
+  const me = { $oid: userId };
+  const rows = await prisma.message.aggregateRaw({
+    pipeline: [
+      { $match: { $or: [{ fromUserId: me }, { toUserId: me }] } },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$fromUserId', me] }, '$toUserId', '$fromUserId'] },
+          lastMessageAt: { $max: '$createdAt' },
+        },
+      },
+      ...(after ? [{
+        $match: {
+          $or: [
+            { lastMessageAt: { $lt: { $date: after.lastMessageAt.toISOString() } } },
+            { lastMessageAt: { $date: after.lastMessageAt.toISOString() }, _id: { $lt: { $oid: after.id } } },
+          ],
+        },
+      }] : []),
+      { $sort: { lastMessageAt: -1, _id: -1 } },
+      { $limit: limit + 1 },
+    ],
+  });
+
+  return rows.map((row) => ({ id: row._id.$oid, lastMessageAt: new Date(row.lastMessageAt.$date) }));
+};
+
+// @desc    Get one entry per counterpart with their public profile, last message and unread count
+// @route   GET /api/users/messages/conversations?limit=&cursor=
+// @access  Private
+export const getConversations = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { cursor } = req.query;
+    const limit = pageLimit(req.query.limit);
+
+    let after = null;
+    if (cursor) {
+      const last = await prisma.message.findFirst({
+        where: threadWhere(userId, cursor),
+        orderBy: { createdAt: 'desc' },
+        select: { createdAt: true },
+      });
+      if (!last) return res.status(400).json({ message: 'Invalid cursor.' });
+      after = { id: cursor, lastMessageAt: last.createdAt };
+    }
+
+    const { items, nextCursor } = paginate(await findConversationPage(userId, after, limit), limit);
+    const pageIds = items.map((item) => item.id);
+
+    const [counterparts, unread, lastMessages] = await Promise.all([
+      prisma.user.findMany({
+        where: { id: { in: pageIds } },
+        select: publicUserSelect,
+      }),
+      prisma.message.groupBy({
+        by: ['fromUserId'],
+        where: { toUserId: userId, read: false, fromUserId: { in: pageIds } },
+        _count: { _all: true },
+      }),
+      Promise.all(pageIds.map((id) => prisma.message.findFirst({
+        where: threadWhere(userId, id),
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        include: { product: { select: messageProductSelect } },
+      }))),
+    ]);
+
+    const conversations = items.map(({ id, lastMessageAt }, index) => {
+      const counterpart = counterparts.find((user) => user.id === id);
+      return {
+        user: counterpart ? toPublicUser(counterpart) : null,
+        lastMessage: withoutHiddenContent(lastMessages[index]),
+        lastMessageAt,
+        unreadCount: unread.find((group) => group.fromUserId === id)?._count._all || 0,
+      };
+    });
+
+    res.status(200).json({ conversations, nextCursor });
+  } catch (error) {
+    console.error('Get Conversations Error:', error);
+    res.status(500).json({ message: 'Failed to fetch conversations.' });
+  }
+};
+
+// @desc    Get one page of the thread with another user, oldest first within the page
+// @route   GET /api/users/messages/with/:userId?before=&after=&limit=
+// @access  Private
 export const getMessagesWithUser = async (req, res) => {
   try {
     const { userId } = req.params;
+    const { before, after } = req.query;
+    const limit = pageLimit(req.query.limit);
 
-    const messages = await prisma.message.findMany({
+    if (before && after) return res.status(400).json({ message: 'Use either before or after, not both.' });
+
+    const anchorId = before || after;
+    let anchor = null;
+    if (anchorId) {
+      anchor = await prisma.message.findFirst({ where: { id: anchorId, ...threadWhere(req.user.id, userId) } });
+      if (!anchor) return res.status(400).json({ message: 'Invalid before/after cursor.' });
+    }
+
+    // Without a cursor the latest page is returned, so read backwards unless paging forward.
+    // Messages sent in the same millisecond as the anchor are ordered by ID, so none fall between pages.
+    const direction = after ? 'asc' : 'desc';
+    const beyond = after ? 'gt' : 'lt';
+    const rows = await prisma.message.findMany({
       where: {
-        OR: [
-          { fromUserId: req.user.id, toUserId: userId },
-          { fromUserId: userId, toUserId: req.user.id },
+        AND: [
+          threadWhere(req.user.id, userId),
+          ...(anchor ? [{
+            OR: [
+              { createdAt: { [beyond]: anchor.createdAt } },
+              { createdAt: anchor.createdAt, id: { [beyond]: anchor.id } },
+            ],
+          }] : []),
         ],
       },
-      orderBy: { createdAt: 'asc' },
+      orderBy: [{ createdAt: direction }, { id: direction }],
+      include: { product: { select: messageProductSelect } },
+      take: limit + 1,
     });
 
-    res.status(200).json(messages);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const messages = (after ? page : page.reverse()).map(withoutHiddenContent);
+
+    res.status(200).json({ messages, hasMore });
   } catch (error) {
     console.error('Get Messages With User Error:', error);
     res.status(500).json({ message: 'Failed to fetch messages with user.' });
   }
 };
 
+// @desc    Mark every unread message from one user as read
+// @route   PATCH /api/users/messages/with/:userId/read
+// @access  Private
+export const markConversationAsRead = async (req, res) => {
+  try {
+    const count = await markConversationRead({ userId: req.user.id, counterpartId: req.params.userId });
+
+    res.json({ success: true, message: 'Conversation marked as read', count });
+  } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
+    console.error('Mark Conversation Read Error:', error);
+    res.status(500).json({ message: 'Failed to mark conversation as read' });
+  }
+};
+
 export const getUnreadCount = async (req, res) => {
   try {
     const count = await prisma.message.count({
@@ -369,32 +599,12 @@ export const getUnreadCount = async (req, res) => {
 
 export const markMessageAsRead = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;  // assuming you have authMiddleware
-
-    // Confirm the message belongs to this user as receiver
-    const message = await prisma.message.findUnique({
-      where: { id },
-    });
-
-    if (!message) {
-      return res.status(404).json({ message: 'Message not found' });
-    }
-
-    if (message.toUserId !== userId) {
-      return res.status(403).json({ message: 'Not authorized to mark this message' });
-    }
-
-    const updated = await prisma.message.update({
-      where: { id },
-      data: { read: true },
-    });
+    const updated = await markMessageRead({ messageId: req.params.id, userId: req.user.id });
 
     res.json({ success: true, message: 'Message marked as read', data: updated });
   } catch (error) {
+    if (error instanceof HttpError) return res.status(error.status).json({ message: error.message });
     console.error('Mark as Read Error:', error);
     res.status(500).json({ message: 'Failed to mark message as read' });
   }
 };
-
-
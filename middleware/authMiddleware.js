@@ -1,20 +1,54 @@
-import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
+import { getAccountRestriction } from '../utils/accountStatus.js';
+import { authenticateAccessToken } from '../utils/sessions.js';
 
-const prisma = new PrismaClient();
+const ROLE_RANK = { user: 0, moderator: 1, admin: 2 };
 
 export const authMiddleware = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
   if (!token) return res.status(401).json({ message: 'Unauthorized' });
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await prisma.user.findUnique({ where: { id: decoded.id } });
-    if (!user) return res.status(404).json({ message: 'User not found' });
+    const auth = await authenticateAccessToken(token);
+    if (!auth) return res.status(401).json({ message: 'Session expired. Please log in again.' });
 
-    req.user = user; // Attach user object to request
+    const restriction = getAccountRestriction(auth.user);
+    if (restriction) return res.status(403).json(restriction);
+
+    req.user = auth.user; // Attach user object to request
+    req.sessionId = auth.sessionId;
     next();
   } catch (err) {
     res.status(401).json({ message: 'Invalid token' });
   }
-};
\ No newline at end of file
+};
+
+// For public routes that personalise their response: attaches req.user when a valid token is sent,
+// otherwise carries on anonymously instead of rejecting the request.
+export const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    const auth = await authenticateAccessToken(token);
+    if (auth && !getAccountRestriction(auth.user)) {
+      req.user = auth.user;
+      req.sessionId = auth.sessionId;
+    }
+  } catch (err) {
+    // An expired or malformed token is treated like no token
+  }
+  next();
+};
+
+export const hasRole = (user, role) => (ROLE_RANK[user.role] ?? 0) >= ROLE_RANK[role];
+
+// Authenticates, then allows the given role or any role above it (admin > moderator > user).
+export const requireRole = (role) => [
+  authMiddleware,
+  (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+    }
+    next();
+  },
+];
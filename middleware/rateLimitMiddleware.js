@@ -0,0 +1,61 @@
+import { getRateLimitStore } from '../utils/rateLimit/index.js';
+
+const MINUTE = 60 * 1000;
+
+// Failed logins allowed per account before it is locked for the rest of the window
+const LOGIN_LOCKOUT = { max: 5, windowMs: 15 * MINUTE };
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : null);
+
+export const byIp = (req) => req.ip;
+export const byEmail = (req) => normalizeEmail(req.body?.email);
+
+const retryAfterSeconds = (resetAt) => Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+
+const tooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(retryAfterSeconds(resetAt)));
+  return res.status(429).json({ message });
+};
+
+// Counts requests per `key(req)` in fixed windows and answers 429 once `max` is passed.
+// Requests the key function returns nothing for (e.g. no email in the body) are not counted.
+export const rateLimit = ({ name, windowMs, max, key = byIp, message = 'Too many requests. Please try again later.' }) =>
+  async (req, res, next) => {
+    try {
+      const id = key(req);
+      if (!id) return next();
+
+      const { count, resetAt } = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+      if (count > max) return tooManyRequests(res, resetAt, message);
+
+      next();
+    } catch (error) {
+      // A broken counter store should not take logins down with it.
+      console.error('Rate Limit Error:', error);
+      next();
+    }
+  };
+
+const lockoutKey = (email) => `login-failures:${email}`;
+
+// Refuses logins to an account that has had too many wrong passwords recently.
+export const loginLockout = async (req, res, next) => {
+  try {
+    const email = byEmail(req);
+    const failures = email && await getRateLimitStore().get(lockoutKey(email));
+
+    if (failures && failures.count >= LOGIN_LOCKOUT.max) {
+      return tooManyRequests(res, failures.resetAt, 'Too many failed login attempts. Please try again later.');
+    }
+
+    next();
+  } catch (error) {
+    console.error('Login Lockout Error:', error);
+    next();
+  }
+};
+
+export const recordFailedLogin = (email) =>
+  getRateLimitStore().increment(lockoutKey(normalizeEmail(email)), LOGIN_LOCKOUT.windowMs);
+
+export const clearFailedLogins = (email) => getRateLimitStore().reset(lockoutKey(normalizeEmail(email)));
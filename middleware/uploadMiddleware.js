@@ -0,0 +1,33 @@
+import multer from 'multer';
+import { IMAGE_LIMITS } from '../utils/images.js';
+
+const createUpload = (maxFiles) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMAGE_LIMITS.maxBytes, files: maxFiles },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_LIMITS.mimeTypes.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+});
+
+const uploadErrorMessage = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') return `Images must be ${IMAGE_LIMITS.maxBytes / (1024 * 1024)} MB or smaller.`;
+  if (err.code === 'LIMIT_FILE_COUNT') return 'Too many images in one upload.';
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') return `Only JPEG, PNG and WebP images are allowed in the ${err.field} field.`;
+  return err.message;
+};
+
+const handleUpload = (parse) => (req, res, next) => {
+  parse(req, res, (err) => {
+    if (err instanceof multer.MulterError) return res.status(400).json({ message: uploadErrorMessage(err) });
+    next(err);
+  });
+};
+
+// Parses a multipart body with a single image in `field` into req.file (kept in memory).
+export const uploadImage = (field = 'image') => handleUpload(createUpload(1).single(field));
+
+// Same for up to `maxCount` images in `field`, into req.files.
+export const uploadImages = (field = 'images', maxCount = 1) => handleUpload(createUpload(maxCount).array(field, maxCount));
@@ -0,0 +1,70 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const createAjv = (coerceTypes) => {
+  const ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes });
+  addFormats(ajv);
+  ajv.addFormat('objectId', /^[a-f\d]{24}$/i);
+  return ajv;
+};
+
+// JSON bodies must already carry the right types. Path params, query strings and multipart
+// fields only ever arrive as strings, so those are coerced ("12.5" -> 12.5) before checking.
+const jsonAjv = createAjv(false);
+const coercingAjv = createAjv(true);
+
+const describeError = (error) => {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'format':
+      return error.params.format === 'objectId' ? 'must be a valid ID' : `must be a valid ${error.params.format}`;
+    case 'pattern':
+      return error.params.pattern === '\\S' ? 'must not be blank' : 'has an invalid format';
+    default:
+      return error.message;
+  }
+};
+
+const toFieldErrors = (errors, location) => errors.map((error) => {
+  const path = error.instancePath.split('/').slice(1);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+  if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty);
+
+  return { in: location, field: path.join('.') || location, message: describeError(error) };
+});
+
+const compile = (ajv, schema) => schema && ajv.compile(schema);
+
+// Checks req.params, req.query and req.body against a route schema from schemas/ and answers
+// 400 with every problem found. Coerced and defaulted values replace the originals.
+export const validate = (routeSchema) => {
+  const checkParams = compile(coercingAjv, routeSchema.params);
+  const checkQuery = compile(coercingAjv, routeSchema.query);
+  const checkJsonBody = compile(jsonAjv, routeSchema.body);
+  const checkFormBody = compile(coercingAjv, routeSchema.body);
+
+  return (req, res, next) => {
+    const errors = [];
+
+    if (checkParams && !checkParams(req.params)) errors.push(...toFieldErrors(checkParams.errors, 'params'));
+
+    if (checkQuery) {
+      const query = { ...req.query };
+      if (!checkQuery(query)) errors.push(...toFieldErrors(checkQuery.errors, 'query'));
+      // Express 5 re-parses req.query on every read, so the checked copy is pinned in its place.
+      Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true, enumerable: true });
+    }
+
+    if (checkJsonBody) {
+      const check = req.is('multipart/form-data') ? checkFormBody : checkJsonBody;
+      req.body = req.body ?? {};
+      if (!check(req.body)) errors.push(...toFieldErrors(check.errors, 'body'));
+    }
+
+    if (errors.length) return res.status(400).json({ message: 'Validation failed', errors });
+    next();
+  };
+};
@@ -0,0 +1,40 @@
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+
+// One-time migration for databases created before the required fields below existed. Prisma does not
+// apply @default when it reads a document, so one without these fields cannot be loaded at all.
+// Run `npm run db:backfill` once after deploying, before starting the API and worker. Re-running it
+// only touches documents that still lack a value.
+
+const prisma = new PrismaClient();
+
+// Collection, field and the value older documents get. Values are aggregation expressions, so a
+// "$field" string copies another field of the same document.
+const BACKFILLS = [
+  { collection: 'User', field: 'role', value: 'user' },
+  { collection: 'Report', field: 'targetType', value: 'user' },
+  { collection: 'Report', field: 'category', value: 'other' },
+  { collection: 'Report', field: 'status', value: 'open' },
+  { collection: 'Report', field: 'updatedAt', value: '$createdAt' },
+  { collection: 'Message', field: 'isHidden', value: false },
+  { collection: 'Product', field: 'isHidden', value: false },
+  { collection: 'Product', field: 'isDraft', value: false },
+];
+
+// `{ field: null }` matches documents without the field as well as ones holding null.
+const backfill = async ({ collection, field, value }) => {
+  const { nModified } = await prisma.$runCommandRaw({
+    update: collection,
+    updates: [{ q: { [field]: null }, u: [{ $set: { [field]: value } }], multi: true }],
+  });
+  console.log(`${collection}.${field}: set on ${nModified} documents`);
+};
+
+try {
+  for (const entry of BACKFILLS) await backfill(entry);
+} catch (error) {
+  console.error('Backfill Error:', error);
+  process.exitCode = 1;
+} finally {
+  await prisma.$disconnect();
+}
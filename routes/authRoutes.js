@@ -5,33 +5,58 @@ import {
   login,
   forgotPassword,
   resetPassword,
-  resendOTP
+  resendOTP,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
 } from '../controllers/authController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { rateLimit, byEmail, loginLockout } from '../middleware/rateLimitMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as authSchemas from '../schemas/authSchemas.js';
 
 const router = express.Router();
 
+const MINUTE = 60 * 1000;
+
+// Limits are per client IP and, where the body names an account, per email address, so one
+// attacker cannot flood an inbox with codes or guess a code from many addresses.
+const limits = {
+  register: rateLimit({ name: 'register-ip', windowMs: 60 * MINUTE, max: 10 }),
+  login: [
+    rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30 }),
+    loginLockout,
+  ],
+  sendOtp: [
+    rateLimit({ name: 'send-otp-ip', windowMs: 60 * MINUTE, max: 10 }),
+    rateLimit({
+      name: 'send-otp-email',
+      windowMs: 60 * MINUTE,
+      max: 5,
+      key: byEmail,
+      message: 'Too many codes requested for this email. Please try again later.',
+    }),
+  ],
+  checkOtp: [
+    rateLimit({ name: 'check-otp-ip', windowMs: 15 * MINUTE, max: 30 }),
+    rateLimit({
+      name: 'check-otp-email',
+      windowMs: 15 * MINUTE,
+      max: 10,
+      key: byEmail,
+      message: 'Too many attempts for this email. Please try again later.',
+    }),
+  ],
+};
+
 /**
  * @swagger
  * /auth/register:
  *   post:
  *     summary: Register a new user
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 format: password
  *     responses:
  *       201:
  *         description: User registered, OTP sent
@@ -44,10 +69,12 @@ const router = express.Router();
  *                   type: string
  *       400:
  *         description: Invalid input or email already registered
+ *       429:
+ *         description: Too many requests; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/register', register);
+router.post('/register', limits.register, validate(authSchemas.register), register);
 
 /**
  * @swagger
@@ -55,21 +82,6 @@ router.post('/register', register);
  *   post:
  *     summary: Verify OTP for user registration
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - otp
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               otp:
- *                 type: string
  *     responses:
  *       200:
  *         description: OTP verified successfully
@@ -86,12 +98,14 @@ router.post('/register', register);
  *         description: Invalid or expired OTP
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many incorrect attempts (request a new OTP), or too many requests (see the Retry-After header)
  *       500:
  *         description: Server error
  */
-router.post('/verify-otp', verifyOTP);
+router.post('/verify-otp', limits.checkOtp, validate(authSchemas.verifyOtp), verifyOTP);
 
-router.post('/resend-otp', resendOTP);
+router.post('/resend-otp', limits.sendOtp, validate(authSchemas.resendOtp), resendOTP);
 
 /**
  * @swagger
@@ -99,42 +113,32 @@ router.post('/resend-otp', resendOTP);
  *   post:
  *     summary: Log in a user
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 format: password
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful. The access token lasts 15 minutes; use the refresh token to get a new pair.
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
- *                   type: string
  *                 token:
  *                   type: string
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Email not verified, or account suspended or banned
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many requests; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/login', login);
+router.post('/login', limits.login, validate(authSchemas.login), login);
 
 /**
  * @swagger
@@ -142,18 +146,6 @@ router.post('/login', login);
  *   post:
  *     summary: Request a password reset
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
  *     responses:
  *       200:
  *         description: Password reset link sent
@@ -166,10 +158,12 @@ router.post('/login', login);
  *                   type: string
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many requests; see the Retry-After header
  *       500:
  *         description: Server error
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', limits.sendOtp, validate(authSchemas.forgotPassword), forgotPassword);
 
 /**
  * @swagger
@@ -177,21 +171,6 @@ router.post('/forgot-password', forgotPassword);
  *   post:
  *     summary: Reset user password
  *     tags: [Auth]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - token
- *               - newPassword
- *             properties:
- *               token:
- *                 type: string
- *               newPassword:
- *                 type: string
- *                 format: password
  *     responses:
  *       200:
  *         description: Password reset successful
@@ -204,9 +183,138 @@ router.post('/forgot-password', forgotPassword);
  *                   type: string
  *       400:
  *         description: Invalid or expired reset token
+ *       429:
+ *         description: Too many requests; see the Retry-After header
+ *       500:
+ *         description: Server error
+ */
+router.post('/reset-password', limits.checkOtp, validate(authSchemas.resetPassword), resetPassword);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Get a new access token with a refresh token
+ *     description: The refresh token is rotated; the one sent is no longer valid afterwards. Reusing an old refresh token ends the session.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Refresh token missing
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       403:
+ *         description: Account suspended or banned
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', validate(authSchemas.refreshSession), refreshSession);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', authMiddleware, logout);
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Log out every session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions logged out
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout-all', authMiddleware, logoutAll);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   deviceName:
+ *                     type: string
+ *                   userAgent:
+ *                     type: string
+ *                   ipAddress:
+ *                     type: string
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                   lastUsedAt:
+ *                     type: string
+ *                     format: date-time
+ *                   current:
+ *                     type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/sessions', authMiddleware, getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Log out one session
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session logged out
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Session not found
  *       500:
  *         description: Server error
  */
-router.post('/reset-password', resetPassword);
+router.delete('/sessions/:id', authMiddleware, validate(authSchemas.deleteSession), deleteSession);
 
 export default router;
\ No newline at end of file
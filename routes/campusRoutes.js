@@ -0,0 +1,88 @@
+import express from 'express';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as campusSchemas from '../schemas/campusSchemas.js';
+import { listCampuses, createCampus, updateCampus, deleteCampus } from '../controllers/campusController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /campuses:
+ *   get:
+ *     summary: List the campuses this deployment serves
+ *     description: Once any campus exists, only email addresses on a campus domain can register.
+ *     tags: [Campuses]
+ *     responses:
+ *       200:
+ *         description: Campuses by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Campus'
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a campus
+ *     description: Existing accounts without a campus whose email is on one of its domains join it, with their listings.
+ *     tags: [Campuses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Campus created, with the number of accounts that joined it as attachedUsers
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: The slug or a domain is already taken
+ *       500:
+ *         description: Server error
+ */
+router.get('/', listCampuses);
+router.post('/', requireRole('admin'), validate(campusSchemas.createCampus), createCampus);
+
+/**
+ * @swagger
+ * /campuses/{id}:
+ *   patch:
+ *     summary: Rename a campus or change its domains
+ *     tags: [Campuses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Campus updated
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Campus not found
+ *       409:
+ *         description: The slug or a domain is already taken
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a campus
+ *     description: Its members and listings are left without a campus until another campus claims their email domain.
+ *     tags: [Campuses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Campus deleted
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Campus not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/:id', requireRole('admin'), validate(campusSchemas.updateCampus), updateCampus);
+router.delete('/:id', requireRole('admin'), validate(campusSchemas.deleteCampus), deleteCampus);
+
+export default router;
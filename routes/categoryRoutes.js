@@ -0,0 +1,106 @@
+import express from 'express';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as categorySchemas from '../schemas/categorySchemas.js';
+import {
+  listCategories,
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} from '../controllers/categoryController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /categories:
+ *   get:
+ *     summary: Get the category tree
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with its children nested below it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Category'
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Add a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Invalid input or parent not found
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: The slug is already taken
+ *       500:
+ *         description: Server error
+ */
+router.get('/', listCategories);
+router.post('/', requireRole('admin'), validate(categorySchemas.createCategory), createCategory);
+
+/**
+ * @swagger
+ * /categories/{id}:
+ *   get:
+ *     summary: Get a category with its path, children and attributes
+ *     description: allAttributes lists what a listing in this category fills in, including attributes inherited from parent categories.
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: The category
+ *       404:
+ *         description: Category not found
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Rename, move or change the attributes of a category
+ *     description: Listings keep the attribute values they were saved with until they are next edited.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Invalid input, parent not found, or a move under its own subcategory
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The slug is already taken
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove a category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has subcategories or listings
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', validate(categorySchemas.getCategoryById), getCategoryById);
+router.patch('/:id', requireRole('admin'), validate(categorySchemas.updateCategory), updateCategory);
+router.delete('/:id', requireRole('admin'), validate(categorySchemas.deleteCategory), deleteCategory);
+
+export default router;
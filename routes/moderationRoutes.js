@@ -0,0 +1,159 @@
+import express from 'express';
+import { requireRole } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as moderationSchemas from '../schemas/moderationSchemas.js';
+import {
+  listReports,
+  getUserReports,
+  updateReport,
+  takeUserAction,
+  setUserRole,
+  removeReview,
+} from '../controllers/moderationController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /moderation/reports:
+ *   get:
+ *     summary: List reports for moderators
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Report'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a moderator
+ *       500:
+ *         description: Server error
+ */
+router.get('/reports', requireRole('moderator'), validate(moderationSchemas.listReports), listReports);
+
+/**
+ * @swagger
+ * /moderation/reports/{id}:
+ *   patch:
+ *     summary: Change a report's status or notes, or hide the reported content
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not a moderator
+ *       404:
+ *         description: Report not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/reports/:id', requireRole('moderator'), validate(moderationSchemas.updateReport), updateReport);
+
+/**
+ * @swagger
+ * /moderation/users/{id}/reports:
+ *   get:
+ *     summary: Get a user's standing, reports against them and moderation history
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Moderation record
+ *       403:
+ *         description: Not a moderator
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/users/:id/reports', requireRole('moderator'), validate(moderationSchemas.getUserReports), getUserReports);
+
+/**
+ * @swagger
+ * /moderation/users/{id}/actions:
+ *   post:
+ *     summary: Warn, suspend, ban or reinstate a user
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Action recorded
+ *       400:
+ *         description: Invalid input
+ *       403:
+ *         description: Not allowed to act on this user
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/users/:id/actions', requireRole('moderator'), validate(moderationSchemas.takeUserAction), takeUserAction);
+
+/**
+ * @swagger
+ * /moderation/reviews/{id}:
+ *   delete:
+ *     summary: Remove an abusive review
+ *     description: The review is kept for the record but no longer shown or counted in the seller's rating.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review removed
+ *       400:
+ *         description: Review already removed
+ *       403:
+ *         description: Not a moderator
+ *       404:
+ *         description: Review not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/reviews/:id', requireRole('moderator'), validate(moderationSchemas.removeReview), removeReview);
+
+/**
+ * @swagger
+ * /moderation/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/users/:id/role', requireRole('admin'), validate(moderationSchemas.setUserRole), setUserRole);
+
+export default router;
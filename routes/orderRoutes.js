@@ -0,0 +1,121 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as orderSchemas from '../schemas/orderSchemas.js';
+import {
+  createOrder,
+  listOrders,
+  getOrderById,
+  updateOrderStatus,
+} from '../controllers/orderController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /orders:
+ *   post:
+ *     summary: Order a quantity of a product
+ *     description: The quantity is taken from the product's availability straight away and returned if the seller declines or either side cancels.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Order placed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid input, your own product or an expired listing
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Blocked by or blocking the seller
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Not enough items left
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List your orders as a buyer or a seller
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, validate(orderSchemas.createOrder), createOrder);
+router.get('/', authMiddleware, validate(orderSchemas.listOrders), listOrders);
+
+/**
+ * @swagger
+ * /orders/{id}:
+ *   get:
+ *     summary: Get an order you bought or sold
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Order not found
+ *       500:
+ *         description: Server error
+ *   patch:
+ *     summary: Change an order's status
+ *     description: |
+ *       pending -> accepted or declined (seller); accepted -> handed_over (seller);
+ *       handed_over -> completed (buyer, or automatically after ORDER_AUTO_COMPLETE_DAYS, 7 by default);
+ *       pending or accepted -> cancelled (either side).
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Updated order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: The other side of the order makes this change
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: The order's current status does not allow this change
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authMiddleware, validate(orderSchemas.getOrderById), getOrderById);
+router.patch('/:id', authMiddleware, validate(orderSchemas.updateOrderStatus), updateOrderStatus);
+
+export default router;
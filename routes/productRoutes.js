@@ -1,12 +1,24 @@
 import express from 'express';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
+import { uploadImages } from '../middleware/uploadMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as productSchemas from '../schemas/productSchemas.js';
+import { MAX_PRODUCT_IMAGES } from '../utils/productImages.js';
 import {
   createProduct,
   getAllProducts,
   getProductById,
   updateProduct,
   deleteProduct,
+  messageSeller,
+  getMyProducts,
 } from '../controllers/productController.js';
+import {
+  addImages,
+  removeImage,
+  reorderImages,
+  setCoverImage,
+} from '../controllers/productImageController.js';
 
 const router = express.Router();
 
@@ -18,31 +30,6 @@ const router = express.Router();
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - title
- *               - price
- *               - category
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               price:
- *                 type: number
- *               category:
- *                 type: string
- *               imageUrl:
- *                 type: string
- *               location:
- *                 type: string
- *               availability:
- *                 type: string
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -57,41 +44,80 @@ const router = express.Router();
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, createProduct);
+router.post('/', authMiddleware, uploadImages('images', MAX_PRODUCT_IMAGES), validate(productSchemas.createProduct), createProduct);
 
 /**
  * @swagger
  * /products:
  *   get:
- *     summary: Get all products
+ *     summary: Search, filter and page through products
+ *     description: |
+ *       When a bearer token is sent, listings from users you have blocked are left out and only your
+ *       campus is shown unless you pass campus=all or another campus slug.
  *     tags: [Products]
  *     responses:
  *       200:
- *         description: List of products
+ *         description: A page of products
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Product'
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       404:
+ *         description: Campus not found
  *       500:
  *         description: Server error
  */
-router.get('/', getAllProducts);
+router.get('/', optionalAuth, validate(productSchemas.getAllProducts), getAllProducts);
+
+/**
+ * @swagger
+ * /products/mine:
+ *   get:
+ *     summary: List your own products, including drafts, sold-out, expired and hidden ones
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of your products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/mine', authMiddleware, validate(productSchemas.getMyProducts), getMyProducts);
 
 /**
  * @swagger
  * /products/{id}:
  *   get:
  *     summary: Get a product by ID
+ *     description: Drafts are only returned to their seller.
  *     tags: [Products]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
  *     responses:
  *       200:
  *         description: Product details
@@ -104,7 +130,29 @@ router.get('/', getAllProducts);
  *       500:
  *         description: Server error
  */
-router.get('/:id', getProductById);
+router.get('/:id', optionalAuth, validate(productSchemas.getProductById), getProductById);
+
+/**
+ * @swagger
+ * /products/{id}/message:
+ *   post:
+ *     summary: Message the seller about this product
+ *     tags: [Products, Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Message sent, linked to the product
+ *       400:
+ *         description: You are the seller of this product
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/message', authMiddleware, validate(productSchemas.messageSeller), messageSeller);
 
 /**
  * @swagger
@@ -114,33 +162,6 @@ router.get('/:id', getProductById);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
- *     requestBody:
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               description:
- *                 type: string
- *               price:
- *                 type: number
- *               category:
- *                 type: string
- *               imageUrl:
- *                 type: string
- *               location:
- *                 type: string
- *               availability:
- *                 type: string
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -157,8 +178,99 @@ router.get('/:id', getProductById);
  *       500:
  *         description: Server error
  */
-router.put('/:id', authMiddleware, updateProduct);
+router.put('/:id', authMiddleware, validate(productSchemas.updateProduct), updateProduct);
+
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Add images to a product's gallery
+ *     description: Up to 8 images per product; JPEG, PNG or WebP up to 5 MB and at least 200px per side. The first image becomes the cover unless one is chosen.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The updated gallery
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ProductImage'
+ *       400:
+ *         description: Missing, oversized or invalid images, or gallery full
+ *       403:
+ *         description: Forbidden (not owner)
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/images', authMiddleware, uploadImages('images', MAX_PRODUCT_IMAGES), validate(productSchemas.addImages), addImages);
+
+/**
+ * @swagger
+ * /products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product's gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The reordered gallery
+ *       400:
+ *         description: imageIds does not match the gallery
+ *       403:
+ *         description: Forbidden (not owner)
+ *       404:
+ *         description: Product not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/images/order', authMiddleware, validate(productSchemas.reorderImages), reorderImages);
+
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}/cover:
+ *   put:
+ *     summary: Choose the cover image
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated gallery
+ *       403:
+ *         description: Forbidden (not owner)
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/:id/images/:imageId/cover', authMiddleware, validate(productSchemas.setCoverImage), setCoverImage);
 
+/**
+ * @swagger
+ * /products/{id}/images/{imageId}:
+ *   delete:
+ *     summary: Remove an image from the gallery
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The updated gallery
+ *       403:
+ *         description: Forbidden (not owner)
+ *       404:
+ *         description: Product or image not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id/images/:imageId', authMiddleware, validate(productSchemas.removeImage), removeImage);
 
 /**
  * @swagger
@@ -168,13 +280,6 @@ router.put('/:id', authMiddleware, updateProduct);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
  *     responses:
  *       200:
  *         description: Product deleted successfully
@@ -184,9 +289,11 @@ router.put('/:id', authMiddleware, updateProduct);
  *         description: Forbidden (not owner)
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: The product has open orders
  *       500:
  *         description: Server error
  */
-router.delete('/:id', authMiddleware, deleteProduct);
+router.delete('/:id', authMiddleware, validate(productSchemas.deleteProduct), deleteProduct);
 
 export default router;
\ No newline at end of file
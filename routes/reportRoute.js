@@ -1,6 +1,8 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/authMiddleware.js';
-import { reportUser } from '../controllers/reportController.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as reportSchemas from '../schemas/reportSchemas.js';
+import { createReport } from '../controllers/reportController.js';
 
 const router = express.Router();
 
@@ -8,38 +10,28 @@ const router = express.Router();
  * @swagger
  * /reports:
  *   post:
- *     summary: Report a user
+ *     summary: Report a user, product or message
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - reportedUserId
- *               - reason
- *             properties:
- *               reportedUserId:
- *                 type: string
- *               reason:
- *                 type: string
  *     responses:
  *       201:
- *         description: User reported successfully
+ *         description: Report submitted successfully
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Report'
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or reporting yourself
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Reported item not found
+ *       409:
+ *         description: You already have an open report about this item
  *       500:
  *         description: Server error
  */
-router.post('/', authMiddleware, reportUser);
+router.post('/', authMiddleware, validate(reportSchemas.createReport), createReport);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,68 @@
+import express from 'express';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as reviewSchemas from '../schemas/reviewSchemas.js';
+import { createReview, replyToReview } from '../controllers/reviewController.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /reviews:
+ *   post:
+ *     summary: Rate and review the seller of a product
+ *     description: Allowed once per product, after a completed order for it or once the seller has replied to you about it. Reviews backed by a completed order are marked verifiedPurchase.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Review created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid input or your own product
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: No completed order or seller reply about this product, or one side has blocked the other
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: You already reviewed this product
+ *       500:
+ *         description: Server error
+ */
+router.post('/', authMiddleware, validate(reviewSchemas.createReview), createReview);
+
+/**
+ * @swagger
+ * /reviews/{id}/reply:
+ *   post:
+ *     summary: Reply to a review of you
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Review with the reply
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not the reviewed seller
+ *       404:
+ *         description: Review not found
+ *       409:
+ *         description: Already replied
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/reply', authMiddleware, validate(reviewSchemas.replyToReview), replyToReview);
+
+export default router;
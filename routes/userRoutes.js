@@ -1,5 +1,8 @@
 import express from 'express';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
+import { uploadImage } from '../middleware/uploadMiddleware.js';
+import { validate } from '../middleware/validateMiddleware.js';
+import * as userSchemas from '../schemas/userSchemas.js';
 import {
   getMyProfile,
   updateMyProfile,
@@ -11,10 +14,33 @@ import {
   getUserMessages,
   sendMessage,
   getMessagesWithUser,
+  getConversations,
+  markConversationAsRead,
   getUnreadCount,
   markMessageAsRead,
   profilePicsUpdate,
+  removeProfilePic,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
 } from '../controllers/userController.js';
+import {
+  getPushPublicKey,
+  subscribePush,
+  listPushSubscriptions,
+  unsubscribePush,
+} from '../controllers/pushController.js';
+import {
+  requestEmailChange,
+  confirmEmailChange,
+  exportMyData,
+  requestDeletionOtp,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from '../controllers/accountController.js';
+import { getSellerReviews } from '../controllers/reviewController.js';
+import { getSellerProducts } from '../controllers/productController.js';
+import * as productSchemas from '../schemas/productSchemas.js';
 
 const router = express.Router();
 
@@ -50,38 +76,6 @@ router.get('/me', authMiddleware, getMyProfile);
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               fullName:
- *                 type: string
- *               department:
- *                 type: string
- *               level:
- *                 type: string
- *               bio:
- *                 type: string
- *               whatsappNum:
- *                 type: string
- *               address:
- *                 type: string
- *               privacy:
- *                 type: object
- *                 properties:
- *                   showEmail:
- *                     type: boolean
- *                   showWhatsapp:
- *                     type: boolean
- *                   showAddress:
- *                     type: boolean
- *                   showDepartment:
- *                     type: boolean
- *                   showLevel:
- *                     type: boolean
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -92,10 +86,186 @@ router.get('/me', authMiddleware, getMyProfile);
  *       500:
  *         description: Server error
  */
-router.put('/me', authMiddleware, updateMyProfile);
+router.put('/me', authMiddleware, validate(userSchemas.updateMyProfile), updateMyProfile);
+
+/**
+ * @swagger
+ * /users/me/email:
+ *   post:
+ *     summary: Start changing your email
+ *     description: Sends a code to the new address and tells the current one. The email only changes once the code is confirmed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent to the new address
+ *       400:
+ *         description: Invalid input, the address is already yours, or it is not on a campus domain
+ *       401:
+ *         description: Unauthorized or incorrect password
+ *       409:
+ *         description: The address belongs to another account
+ *       429:
+ *         description: A code was sent too recently
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/email', authMiddleware, validate(userSchemas.requestEmailChange), requestEmailChange);
+
+/**
+ * @swagger
+ * /users/me/email/confirm:
+ *   post:
+ *     summary: Confirm your new email with the code sent to it
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: No change pending, or the code is invalid or expired
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: The address was taken meanwhile, or a newer change replaced this one
+ *       429:
+ *         description: Too many incorrect attempts
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/email/confirm', authMiddleware, validate(userSchemas.confirmEmailChange), confirmEmailChange);
+
+/**
+ * @swagger
+ * /users/me/export:
+ *   get:
+ *     summary: Download your personal data
+ *     description: A JSON file with your profile, privacy and notification settings, listings, wishlist, messages, reports you filed, orders and reviews.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The export, sent as an attachment
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/export', authMiddleware, exportMyData);
 
-// update profile
-router.put('/profile-pic', authMiddleware, profilePicsUpdate);
+/**
+ * @swagger
+ * /users/me/deletion/otp:
+ *   post:
+ *     summary: Email a code to confirm deleting your account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Code sent
+ *       401:
+ *         description: Unauthorized
+ *       429:
+ *         description: A code was sent too recently
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/deletion/otp', authMiddleware, requestDeletionOtp);
+
+/**
+ * @swagger
+ * /users/me/deletion:
+ *   post:
+ *     summary: Schedule your account for deletion
+ *     description: |
+ *       The account is deleted after a 14-day grace period unless you cancel. Deleting cancels your open
+ *       orders, removes your listings, wishlist and personal details, and leaves your messages under
+ *       "Deleted user". Reports and moderation history are kept.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Deletion scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 scheduledFor:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Neither a password nor a code was given, or the code is invalid
+ *       401:
+ *         description: Unauthorized or incorrect password
+ *       409:
+ *         description: Deletion is already scheduled
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Cancel a scheduled account deletion
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No deletion is scheduled
+ *       500:
+ *         description: Server error
+ */
+router.post('/me/deletion', authMiddleware, validate(userSchemas.requestAccountDeletion), requestAccountDeletion);
+router.delete('/me/deletion', authMiddleware, cancelAccountDeletion);
+
+/**
+ * @swagger
+ * /users/profile-pic:
+ *   put:
+ *     summary: Upload a new profile picture
+ *     description: JPEG, PNG or WebP up to 5 MB and at least 200px per side. The image is re-encoded without EXIF data and a thumbnail is generated.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile picture updated
+ *       400:
+ *         description: Missing, oversized or invalid image
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Remove the profile picture
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile picture removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: No profile picture to remove
+ *       500:
+ *         description: Server error
+ */
+router.put('/profile-pic', authMiddleware, uploadImage('image'), profilePicsUpdate);
+router.delete('/profile-pic', authMiddleware, removeProfilePic);
 
 /**
  * @swagger
@@ -105,20 +275,6 @@ router.put('/profile-pic', authMiddleware, profilePicsUpdate);
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - currentPassword
- *               - newPassword
- *             properties:
- *               currentPassword:
- *                 type: string
- *               newPassword:
- *                 type: string
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -131,7 +287,7 @@ router.put('/profile-pic', authMiddleware, profilePicsUpdate);
  *       500:
  *         description: Server error
  */
-router.put('/change-password', authMiddleware, changePassword);
+router.put('/change-password', authMiddleware, validate(userSchemas.changePassword), changePassword);
 
 /**
  * @swagger
@@ -165,17 +321,6 @@ router.get('/wishlists', authMiddleware, getWishlist);
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - productId
- *             properties:
- *               productId:
- *                 type: string
  *     responses:
  *       200:
  *         description: Added to wishlist
@@ -186,7 +331,7 @@ router.get('/wishlists', authMiddleware, getWishlist);
  *       500:
  *         description: Server error
  */
-router.post('/add-wishlist', authMiddleware, addToWishlist);
+router.post('/add-wishlist', authMiddleware, validate(userSchemas.addToWishlist), addToWishlist);
 
 /**
  * @swagger
@@ -196,13 +341,6 @@ router.post('/add-wishlist', authMiddleware, addToWishlist);
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: productId
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
  *     responses:
  *       200:
  *         description: Removed from wishlist
@@ -211,28 +349,342 @@ router.post('/add-wishlist', authMiddleware, addToWishlist);
  *       500:
  *         description: Server error
  */
-router.delete('/remove-wishlist/:productId', authMiddleware, removeFromWishlist);
+router.delete('/remove-wishlist/:productId', authMiddleware, validate(userSchemas.removeFromWishlist), removeFromWishlist);
 
-
-router.post('/message/send', authMiddleware, sendMessage);
+/**
+ * @swagger
+ * /users/message/send:
+ *   post:
+ *     summary: Send a message to another user
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Message sent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: One of you has blocked the other
+ *       404:
+ *         description: Recipient or product not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/message/send', authMiddleware, validate(userSchemas.sendMessage), sendMessage);
 router.get('/messages/me', authMiddleware, getUserMessages);
-router.get('/messages/with/:userId', authMiddleware, getMessagesWithUser);
+
+/**
+ * @swagger
+ * /users/messages/conversations:
+ *   get:
+ *     summary: List conversations, one per counterpart, most recent first
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A page of conversations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conversations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         $ref: '#/components/schemas/PublicUser'
+ *                       lastMessage:
+ *                         type: object
+ *                       lastMessageAt:
+ *                         type: string
+ *                         format: date-time
+ *                       unreadCount:
+ *                         type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/messages/conversations', authMiddleware, validate(userSchemas.getConversations), getConversations);
+
+/**
+ * @swagger
+ * /users/messages/with/{userId}:
+ *   get:
+ *     summary: Get a page of the thread with another user
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Messages in ascending order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid cursor or parameters
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/messages/with/:userId', authMiddleware, validate(userSchemas.getMessagesWithUser), getMessagesWithUser);
+
+/**
+ * @swagger
+ * /users/messages/with/{userId}/read:
+ *   patch:
+ *     summary: Mark every unread message from a user as read
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Number of messages marked as read
+ *       400:
+ *         description: Invalid user ID
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.patch('/messages/with/:userId/read', authMiddleware, validate(userSchemas.markConversationAsRead), markConversationAsRead);
+
 router.get("/messages/unread-count", authMiddleware, getUnreadCount);
-router.patch('/messages/:id/read', authMiddleware, markMessageAsRead);
+
+/**
+ * @swagger
+ * /users/messages/{id}/read:
+ *   patch:
+ *     summary: Mark one received message as read
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Message marked as read
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Message not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/messages/:id/read', authMiddleware, validate(userSchemas.markMessageAsRead), markMessageAsRead);
+
+/**
+ * @swagger
+ * /users/push/public-key:
+ *   get:
+ *     summary: Get the VAPID public key used to subscribe to push notifications
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: The key to pass as applicationServerKey
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 publicKey:
+ *                   type: string
+ *       503:
+ *         description: Push notifications are not configured on this server
+ */
+router.get('/push/public-key', getPushPublicKey);
+
+/**
+ * @swagger
+ * /users/push/subscriptions:
+ *   get:
+ *     summary: List devices subscribed to push notifications
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Push subscriptions, without their keys
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Subscribe this browser to push notifications
+ *     description: New messages while you are offline and price drops or sell-outs on wishlisted items are pushed to every subscribed device.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       400:
+ *         description: Invalid subscription
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Unsubscribe a browser from push notifications
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Subscription not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/push/subscriptions', authMiddleware, listPushSubscriptions);
+router.post('/push/subscriptions', authMiddleware, validate(userSchemas.subscribePush), subscribePush);
+router.delete('/push/subscriptions', authMiddleware, validate(userSchemas.unsubscribePush), unsubscribePush);
+
+/**
+ * @swagger
+ * /users/blocked:
+ *   get:
+ *     summary: List users you have blocked
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Blocked users with the time they were blocked
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+router.get('/blocked', authMiddleware, getBlockedUsers);
+
+/**
+ * @swagger
+ * /users/{id}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: Blocked users cannot message you, and their listings are hidden from your product feed and wishlist.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: User blocked
+ *       400:
+ *         description: Already blocked, or blocking yourself
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: User is not blocked
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/block', authMiddleware, validate(userSchemas.blockUser), blockUser);
+router.delete('/:id/block', authMiddleware, validate(userSchemas.unblockUser), unblockUser);
+
+/**
+ * @swagger
+ * /users/{id}/products:
+ *   get:
+ *     summary: Get a seller's storefront, the products they have listed
+ *     description: Drafts, hidden and expired listings are left out. A seller who has blocked you, or whom you blocked, returns 403.
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: A page of products
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 products:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Blocked
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/products', optionalAuth, validate(productSchemas.getSellerProducts), getSellerProducts);
+
+/**
+ * @swagger
+ * /users/{id}/reviews:
+ *   get:
+ *     summary: Get a seller's rating and reviews, newest first
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Rating summary and a page of reviews
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rating:
+ *                   $ref: '#/components/schemas/SellerRating'
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/reviews', validate(userSchemas.getSellerReviews), getSellerReviews);
 
 /**
  * @swagger
  * /users/{id}:
  *   get:
  *     summary: Get a user's public profile by ID
+ *     description: If the profile owner has blocked the signed-in caller, only id, fullName and profileUrl are returned with restricted set to true.
  *     tags: [Users]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: User ID
  *     responses:
  *       200:
  *         description: Public user profile
@@ -245,6 +697,6 @@ router.patch('/messages/:id/read', authMiddleware, markMessageAsRead);
  *       500:
  *         description: Server error
  */
-router.get('/:id', getUserById);
+router.get('/:id', optionalAuth, validate(userSchemas.getUserById), getUserById);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { OTP_PURPOSES } from '../utils/otp.js';
+import { email, newPassword, text, idParams } from './common.js';
+
+const otp = { type: 'string', pattern: '^\\d{6}$', description: 'The 6-digit code from the email' };
+const purpose = { type: 'string', enum: Object.keys(OTP_PURPOSES) };
+
+export const register = {
+  method: 'post',
+  path: '/auth/register',
+  body: {
+    type: 'object',
+    required: ['fullName', 'email', 'password'],
+    properties: {
+      fullName: text(100),
+      email,
+      password: newPassword,
+    },
+  },
+};
+
+export const verifyOtp = {
+  method: 'post',
+  path: '/auth/verify-otp',
+  body: {
+    type: 'object',
+    required: ['email', 'otp', 'purpose'],
+    properties: { email, otp, purpose },
+  },
+};
+
+export const resendOtp = {
+  method: 'post',
+  path: '/auth/resend-otp',
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email,
+      purpose: {
+        ...purpose,
+        description: 'Without one, unverified accounts get a new verification code and verified ones a password reset code',
+      },
+    },
+  },
+};
+
+export const login = {
+  method: 'post',
+  path: '/auth/login',
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email,
+      password: { type: 'string', minLength: 1, format: 'password' },
+      deviceName: { type: 'string', maxLength: 100, description: 'Shown in the session list' },
+    },
+  },
+};
+
+export const forgotPassword = {
+  method: 'post',
+  path: '/auth/forgot-password',
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: { email },
+  },
+};
+
+export const resetPassword = {
+  method: 'post',
+  path: '/auth/reset-password',
+  body: {
+    type: 'object',
+    required: ['email', 'otp', 'newPassword'],
+    properties: { email, otp, newPassword },
+  },
+};
+
+export const refreshSession = {
+  method: 'post',
+  path: '/auth/refresh',
+  body: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: { refreshToken: { type: 'string', minLength: 1 } },
+  },
+};
+
+export const deleteSession = {
+  method: 'delete',
+  path: '/auth/sessions/:id',
+  params: idParams('id'),
+};
@@ -0,0 +1,38 @@
+import { text, idParams } from './common.js';
+
+const slug = { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 60, description: 'Lowercase words joined by hyphens, e.g. "unilag"' };
+
+const domains = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 20,
+  items: { type: 'string', pattern: '^@?[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)+$', maxLength: 253 },
+  description: 'Email domains whose addresses join this campus; subdomains match too',
+};
+
+export const createCampus = {
+  method: 'post',
+  path: '/campuses',
+  body: {
+    type: 'object',
+    required: ['name', 'slug', 'domains'],
+    properties: { name: text(120), slug, domains },
+  },
+};
+
+export const updateCampus = {
+  method: 'patch',
+  path: '/campuses/:id',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    minProperties: 1,
+    properties: { name: text(120), slug, domains },
+  },
+};
+
+export const deleteCampus = {
+  method: 'delete',
+  path: '/campuses/:id',
+  params: idParams('id'),
+};
@@ -0,0 +1,69 @@
+import { ATTRIBUTE_TYPES, MAX_ATTRIBUTE_TEXT_LENGTH } from '../utils/categories.js';
+import { objectId, text, idParams } from './common.js';
+
+const slug = { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: 60, description: 'Lowercase words joined by hyphens, e.g. "textbooks"' };
+
+const attribute = {
+  type: 'object',
+  required: ['key', 'label', 'type'],
+  additionalProperties: false,
+  properties: {
+    key: { type: 'string', pattern: '^[a-z][a-zA-Z0-9]*$', maxLength: 40, description: 'camelCase, e.g. "courseCode"' },
+    label: text(60),
+    type: { type: 'string', enum: ATTRIBUTE_TYPES },
+    options: {
+      type: 'array',
+      maxItems: 50,
+      uniqueItems: true,
+      items: text(MAX_ATTRIBUTE_TEXT_LENGTH),
+      description: 'The allowed values; required for select attributes',
+    },
+    required: { type: 'boolean', default: false },
+  },
+};
+
+const categoryFields = {
+  name: text(60),
+  slug,
+  icon: { type: 'string', maxLength: 200 },
+  parentId: { ...objectId, type: ['string', 'null'], description: 'Leave out or null for a top-level category' },
+  attributes: {
+    type: 'array',
+    maxItems: 30,
+    items: attribute,
+    description: 'Extra fields listings in this category fill in, on top of those of its parent categories',
+  },
+};
+
+export const getCategoryById = {
+  method: 'get',
+  path: '/categories/:id',
+  params: idParams('id'),
+};
+
+export const createCategory = {
+  method: 'post',
+  path: '/categories',
+  body: {
+    type: 'object',
+    required: ['name', 'slug'],
+    properties: categoryFields,
+  },
+};
+
+export const updateCategory = {
+  method: 'patch',
+  path: '/categories/:id',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    minProperties: 1,
+    properties: categoryFields,
+  },
+};
+
+export const deleteCategory = {
+  method: 'delete',
+  path: '/categories/:id',
+  params: idParams('id'),
+};
@@ -0,0 +1,26 @@
+import { MAX_PAGE_SIZE } from '../utils/pagination.js';
+
+export const objectId = { type: 'string', format: 'objectId' };
+
+export const email = { type: 'string', format: 'email', maxLength: 254 };
+
+// New passwords only; logins still accept whatever was set before this rule existed.
+export const newPassword = { type: 'string', minLength: 8, maxLength: 128 };
+
+// A required piece of text that is not just whitespace
+export const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength, pattern: '\\S' });
+
+export const idParams = (...names) => ({
+  type: 'object',
+  required: names,
+  properties: Object.fromEntries(names.map((name) => [name, objectId])),
+});
+
+export const pageQuery = {
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    description: `Page size, capped at ${MAX_PAGE_SIZE}`,
+  },
+  cursor: { ...objectId, description: 'nextCursor from the previous page' },
+};
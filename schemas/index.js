@@ -0,0 +1,21 @@
+import * as authSchemas from './authSchemas.js';
+import * as userSchemas from './userSchemas.js';
+import * as productSchemas from './productSchemas.js';
+import * as reportSchemas from './reportSchemas.js';
+import * as moderationSchemas from './moderationSchemas.js';
+import * as notificationSchemas from './notificationSchemas.js';
+import * as orderSchemas from './orderSchemas.js';
+import * as reviewSchemas from './reviewSchemas.js';
+import * as campusSchemas from './campusSchemas.js';
+import * as categorySchemas from './categorySchemas.js';
+
+// Route schemas carry a method and path; anything else exported next to them is a building block.
+const isRouteSchema = (value) => Boolean(value?.method && value?.path);
+
+export const routeSchemas = [authSchemas, userSchemas, productSchemas, reportSchemas, moderationSchemas, notificationSchemas, orderSchemas, reviewSchemas, campusSchemas, categorySchemas]
+  .flatMap((module) => Object.values(module).filter(isRouteSchema));
+
+// Shared schemas published under components.schemas and referenced by name in the docs
+export const componentSchemas = {
+  ProductInput: productSchemas.productInput,
+};
@@ -0,0 +1,97 @@
+import {
+  REPORT_STATUSES,
+  ACTION_TYPES,
+  ROLES,
+  MAX_SUSPENSION_DAYS,
+} from '../controllers/moderationController.js';
+import { objectId, idParams, pageQuery } from './common.js';
+import { reportCategory, reportTargetType } from './reportSchemas.js';
+
+const reportStatus = { type: 'string', enum: REPORT_STATUSES };
+
+export const listReports = {
+  method: 'get',
+  path: '/moderation/reports',
+  query: {
+    type: 'object',
+    properties: {
+      status: reportStatus,
+      targetType: reportTargetType,
+      category: { type: 'string', enum: reportCategory.enum },
+      reportedUserId: objectId,
+      reporterId: objectId,
+      ...pageQuery,
+    },
+  },
+};
+
+export const updateReport = {
+  method: 'patch',
+  path: '/moderation/reports/:id',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      status: reportStatus,
+      notes: { type: 'string', maxLength: 2000 },
+      hideTarget: {
+        type: 'boolean',
+        description: 'Hide or restore the reported product or message. Dismissing a report restores it.',
+      },
+    },
+  },
+};
+
+export const getUserReports = {
+  method: 'get',
+  path: '/moderation/users/:id/reports',
+  params: idParams('id'),
+};
+
+export const takeUserAction = {
+  method: 'post',
+  path: '/moderation/users/:id/actions',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    required: ['action'],
+    properties: {
+      action: { type: 'string', enum: ACTION_TYPES },
+      reason: { type: 'string', maxLength: 1000 },
+      durationDays: {
+        type: 'number',
+        exclusiveMinimum: 0,
+        maximum: MAX_SUSPENSION_DAYS,
+        description: 'Required for suspend',
+      },
+      reportId: { ...objectId, description: 'Report that prompted the action; it is marked resolved' },
+    },
+  },
+};
+
+export const removeReview = {
+  method: 'delete',
+  path: '/moderation/reviews/:id',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string', maxLength: 1000, description: 'Kept with the review for other moderators' },
+    },
+  },
+};
+
+export const setUserRole = {
+  method: 'patch',
+  path: '/moderation/users/:id/role',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      role: { type: 'string', enum: ROLES },
+    },
+  },
+};
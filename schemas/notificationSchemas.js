@@ -0,0 +1,37 @@
+import { NOTIFICATION_TYPES } from '../utils/notifications.js';
+import { idParams, pageQuery } from './common.js';
+
+export const listNotifications = {
+  method: 'get',
+  path: '/notifications',
+  query: {
+    type: 'object',
+    properties: {
+      unreadOnly: { type: 'boolean', default: false },
+      ...pageQuery,
+    },
+  },
+};
+
+export const markNotificationRead = {
+  method: 'patch',
+  path: '/notifications/:id/read',
+  params: idParams('id'),
+};
+
+export const updateNotificationSettings = {
+  method: 'put',
+  path: '/notifications/settings',
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: {
+        type: 'object',
+        description: 'Notification type -> whether it is also sent by email',
+        additionalProperties: false,
+        properties: Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, { type: 'boolean' }])),
+      },
+    },
+  },
+};
@@ -0,0 +1,58 @@
+import { ORDER_STATUSES, SETTABLE_ORDER_STATUSES } from '../controllers/orderController.js';
+import { objectId, idParams, pageQuery } from './common.js';
+
+export const createOrder = {
+  method: 'post',
+  path: '/orders',
+  body: {
+    type: 'object',
+    required: ['productId'],
+    properties: {
+      productId: objectId,
+      quantity: { type: 'integer', minimum: 1, maximum: 1000, default: 1 },
+      note: { type: 'string', maxLength: 500, description: 'For the seller, e.g. when and where to meet' },
+    },
+  },
+};
+
+export const listOrders = {
+  method: 'get',
+  path: '/orders',
+  query: {
+    type: 'object',
+    properties: {
+      role: {
+        type: 'string',
+        enum: ['buyer', 'seller'],
+        default: 'buyer',
+        description: 'Orders you placed, or orders for your products',
+      },
+      status: { type: 'string', enum: ORDER_STATUSES },
+      ...pageQuery,
+    },
+  },
+};
+
+export const getOrderById = {
+  method: 'get',
+  path: '/orders/:id',
+  params: idParams('id'),
+};
+
+export const updateOrderStatus = {
+  method: 'patch',
+  path: '/orders/:id',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: {
+        type: 'string',
+        enum: SETTABLE_ORDER_STATUSES,
+        description: 'The seller accepts, declines or hands over; the buyer completes; either side cancels before hand-over.',
+      },
+      reason: { type: 'string', maxLength: 500, description: 'Why the order was cancelled' },
+    },
+  },
+};
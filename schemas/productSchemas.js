@@ -0,0 +1,177 @@
+import { SORT_OPTIONS, MY_LISTING_FILTERS } from '../controllers/productController.js';
+import { MAX_PRODUCT_IMAGES } from '../utils/productImages.js';
+import { objectId, text, idParams, pageQuery } from './common.js';
+
+const productFields = {
+  title: text(120),
+  description: { type: 'string', maxLength: 5000 },
+  price: { type: 'number', minimum: 0 },
+  categoryId: { ...objectId, description: 'A category from GET /categories' },
+  attributes: {
+    type: 'object',
+    additionalProperties: { anyOf: [{ type: 'string', maxLength: 200 }, { type: 'number' }, { type: 'boolean' }] },
+    description: 'Values for the attributes of the category, by key. Multipart forms send them as attributes[key] fields.',
+  },
+  location: { type: 'string', maxLength: 120 },
+  availability: { type: 'integer', minimum: 0, description: 'Number of items that can still be ordered' },
+  draft: { type: 'boolean', description: 'Keep the listing to yourself until you publish it by setting this to false' },
+};
+
+// Exposed as components.schemas.ProductInput in the API docs
+export const productInput = {
+  type: 'object',
+  required: ['title', 'price', 'categoryId'],
+  properties: productFields,
+};
+
+const productParams = (...extra) => ({
+  type: 'object',
+  required: ['id', ...extra],
+  properties: {
+    id: { ...objectId, description: 'Product ID' },
+    ...Object.fromEntries(extra.map((name) => [name, objectId])),
+  },
+});
+
+const galleryImages = {
+  maxCount: MAX_PRODUCT_IMAGES,
+  description: `Up to ${MAX_PRODUCT_IMAGES} JPEG, PNG or WebP images`,
+};
+
+const sort = { type: 'string', enum: Object.keys(SORT_OPTIONS), default: 'newest' };
+
+export const createProduct = {
+  method: 'post',
+  path: '/products',
+  body: productInput,
+  files: { images: galleryImages },
+};
+
+export const getAllProducts = {
+  method: 'get',
+  path: '/products',
+  query: {
+    type: 'object',
+    properties: {
+      q: { type: 'string', maxLength: 100, description: 'Text search over title and description' },
+      category: { type: 'string', description: 'Category name, for listings from before the category tree' },
+      categoryId: { ...objectId, description: 'A category; listings in its subcategories are included' },
+      attributes: {
+        type: 'string',
+        pattern: '^[a-zA-Z0-9]+:[^,]+(,[a-zA-Z0-9]+:[^,]+)*$',
+        maxLength: 500,
+        description: 'Attribute filters for the categoryId category, e.g. "condition:Used,edition:3"',
+      },
+      location: { type: 'string' },
+      minPrice: { type: 'number', minimum: 0 },
+      maxPrice: { type: 'number', minimum: 0 },
+      sellerId: objectId,
+      inStock: { type: 'boolean', description: 'Only products with availability above zero' },
+      campus: {
+        type: 'string',
+        maxLength: 60,
+        description: 'A campus slug, or "all" for every campus. Signed-in users default to their own campus.',
+      },
+      sort,
+      ...pageQuery,
+    },
+  },
+};
+
+export const getMyProducts = {
+  method: 'get',
+  path: '/products/mine',
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: Object.keys(MY_LISTING_FILTERS), description: 'Leave out for every listing' },
+      sort,
+      ...pageQuery,
+    },
+  },
+};
+
+export const getSellerProducts = {
+  method: 'get',
+  path: '/users/:id/products',
+  params: idParams('id'),
+  query: {
+    type: 'object',
+    properties: {
+      inStock: { type: 'boolean', description: 'Only products with availability above zero' },
+      sort,
+      ...pageQuery,
+    },
+  },
+};
+
+export const getProductById = {
+  method: 'get',
+  path: '/products/:id',
+  params: productParams(),
+};
+
+export const messageSeller = {
+  method: 'post',
+  path: '/products/:id/message',
+  params: productParams(),
+  body: {
+    type: 'object',
+    properties: {
+      content: { type: 'string', maxLength: 2000, description: 'Defaults to an availability question' },
+    },
+  },
+};
+
+export const updateProduct = {
+  method: 'put',
+  path: '/products/:id',
+  params: productParams(),
+  body: {
+    type: 'object',
+    properties: productFields,
+  },
+};
+
+export const deleteProduct = {
+  method: 'delete',
+  path: '/products/:id',
+  params: productParams(),
+};
+
+export const addImages = {
+  method: 'post',
+  path: '/products/:id/images',
+  params: productParams(),
+  files: { images: { ...galleryImages, required: true } },
+};
+
+export const reorderImages = {
+  method: 'put',
+  path: '/products/:id/images/order',
+  params: productParams(),
+  body: {
+    type: 'object',
+    required: ['imageIds'],
+    properties: {
+      imageIds: {
+        type: 'array',
+        items: objectId,
+        uniqueItems: true,
+        description: 'Every image ID of the product, in the new order',
+      },
+    },
+  },
+};
+
+export const setCoverImage = {
+  method: 'put',
+  path: '/products/:id/images/:imageId/cover',
+  params: productParams('imageId'),
+};
+
+export const removeImage = {
+  method: 'delete',
+  path: '/products/:id/images/:imageId',
+  params: productParams('imageId'),
+};
@@ -0,0 +1,28 @@
+import { REPORT_CATEGORIES } from '../controllers/reportController.js';
+import { objectId } from './common.js';
+
+export const reportCategory = {
+  type: 'string',
+  enum: [...new Set(Object.values(REPORT_CATEGORIES).flat())],
+  description: Object.entries(REPORT_CATEGORIES)
+    .map(([targetType, categories]) => `${targetType}: ${categories.join(', ')}.`)
+    .join('\n'),
+};
+
+export const reportTargetType = { type: 'string', enum: Object.keys(REPORT_CATEGORIES) };
+
+export const createReport = {
+  method: 'post',
+  path: '/reports',
+  body: {
+    type: 'object',
+    required: ['category'],
+    properties: {
+      targetType: { ...reportTargetType, default: 'user' },
+      targetId: { ...objectId, description: 'ID of the user, product or message' },
+      reportedUserId: { ...objectId, description: 'Older alias of targetId for user reports' },
+      category: reportCategory,
+      reason: { type: 'string', maxLength: 1000, description: 'Optional details' },
+    },
+  },
+};
@@ -0,0 +1,28 @@
+import { objectId, text, idParams } from './common.js';
+
+export const createReview = {
+  method: 'post',
+  path: '/reviews',
+  body: {
+    type: 'object',
+    required: ['productId', 'rating'],
+    properties: {
+      productId: objectId,
+      rating: { type: 'integer', minimum: 1, maximum: 5 },
+      comment: { type: 'string', maxLength: 2000 },
+    },
+  },
+};
+
+export const replyToReview = {
+  method: 'post',
+  path: '/reviews/:id/reply',
+  params: idParams('id'),
+  body: {
+    type: 'object',
+    required: ['reply'],
+    properties: {
+      reply: text(1000),
+    },
+  },
+};
@@ -0,0 +1,216 @@
+import { objectId, email, newPassword, text, idParams, pageQuery } from './common.js';
+
+const messageContent = text(2000);
+const otp = { type: 'string', pattern: '^\\d{6}$', description: 'The 6-digit code from the email' };
+
+export const updateMyProfile = {
+  method: 'put',
+  path: '/users/me',
+  body: {
+    type: 'object',
+    properties: {
+      fullName: text(100),
+      department: { type: 'string', maxLength: 100 },
+      level: { type: 'string', maxLength: 50 },
+      bio: { type: 'string', maxLength: 500 },
+      whatsappNum: { type: 'string', maxLength: 30 },
+      address: { type: 'string', maxLength: 200 },
+      privacy: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          showEmail: { type: 'boolean' },
+          showWhatsapp: { type: 'boolean' },
+          showAddress: { type: 'boolean' },
+          showDepartment: { type: 'boolean' },
+          showLevel: { type: 'boolean' },
+        },
+      },
+    },
+  },
+};
+
+export const updateProfilePic = {
+  method: 'put',
+  path: '/users/profile-pic',
+  files: { image: { maxCount: 1, required: true } },
+};
+
+export const changePassword = {
+  method: 'put',
+  path: '/users/change-password',
+  body: {
+    type: 'object',
+    required: ['currentPassword', 'newPassword'],
+    properties: {
+      currentPassword: { type: 'string', minLength: 1, format: 'password' },
+      newPassword: { ...newPassword, format: 'password' },
+    },
+  },
+};
+
+export const addToWishlist = {
+  method: 'post',
+  path: '/users/add-wishlist',
+  body: {
+    type: 'object',
+    required: ['productId'],
+    properties: { productId: objectId },
+  },
+};
+
+export const removeFromWishlist = {
+  method: 'delete',
+  path: '/users/remove-wishlist/:productId',
+  params: idParams('productId'),
+};
+
+export const sendMessage = {
+  method: 'post',
+  path: '/users/message/send',
+  body: {
+    type: 'object',
+    required: ['toUserId', 'content'],
+    properties: {
+      toUserId: objectId,
+      content: messageContent,
+      productId: { ...objectId, description: 'Listing the message is about' },
+    },
+  },
+};
+
+export const getConversations = {
+  method: 'get',
+  path: '/users/messages/conversations',
+  query: {
+    type: 'object',
+    properties: {
+      limit: pageQuery.limit,
+      cursor: { ...objectId, description: 'nextCursor from the previous page (a counterpart user ID)' },
+    },
+  },
+};
+
+export const getMessagesWithUser = {
+  method: 'get',
+  path: '/users/messages/with/:userId',
+  params: idParams('userId'),
+  query: {
+    type: 'object',
+    properties: {
+      before: { ...objectId, description: 'Return messages older than this message' },
+      after: { ...objectId, description: 'Return messages newer than this message' },
+      limit: pageQuery.limit,
+    },
+  },
+};
+
+export const markConversationAsRead = {
+  method: 'patch',
+  path: '/users/messages/with/:userId/read',
+  params: idParams('userId'),
+};
+
+export const markMessageAsRead = {
+  method: 'patch',
+  path: '/users/messages/:id/read',
+  params: idParams('id'),
+};
+
+export const blockUser = {
+  method: 'post',
+  path: '/users/:id/block',
+  params: idParams('id'),
+};
+
+export const unblockUser = {
+  method: 'delete',
+  path: '/users/:id/block',
+  params: idParams('id'),
+};
+
+const pushEndpoint = { type: 'string', format: 'uri', pattern: '^https://', maxLength: 2048 };
+
+export const subscribePush = {
+  method: 'post',
+  path: '/users/push/subscriptions',
+  body: {
+    type: 'object',
+    description: 'The PushSubscription JSON the browser returns from pushManager.subscribe()',
+    required: ['endpoint', 'keys'],
+    properties: {
+      endpoint: pushEndpoint,
+      expirationTime: { type: ['integer', 'null'], description: 'Milliseconds since the epoch' },
+      keys: {
+        type: 'object',
+        required: ['p256dh', 'auth'],
+        properties: {
+          p256dh: { type: 'string', minLength: 1, maxLength: 200 },
+          auth: { type: 'string', minLength: 1, maxLength: 100 },
+        },
+      },
+    },
+  },
+};
+
+export const unsubscribePush = {
+  method: 'delete',
+  path: '/users/push/subscriptions',
+  body: {
+    type: 'object',
+    required: ['endpoint'],
+    properties: { endpoint: pushEndpoint },
+  },
+};
+
+export const requestEmailChange = {
+  method: 'post',
+  path: '/users/me/email',
+  body: {
+    type: 'object',
+    required: ['newEmail', 'password'],
+    properties: {
+      newEmail: email,
+      password: { type: 'string', minLength: 1, format: 'password' },
+    },
+  },
+};
+
+export const confirmEmailChange = {
+  method: 'post',
+  path: '/users/me/email/confirm',
+  body: {
+    type: 'object',
+    required: ['otp'],
+    properties: { otp },
+  },
+};
+
+export const requestAccountDeletion = {
+  method: 'post',
+  path: '/users/me/deletion',
+  body: {
+    type: 'object',
+    description: 'Confirm with either your password or the code from POST /users/me/deletion/otp',
+    properties: {
+      password: { type: 'string', minLength: 1, format: 'password' },
+      otp,
+    },
+  },
+};
+
+export const getUserById = {
+  method: 'get',
+  path: '/users/:id',
+  params: idParams('id'),
+};
+
+export const getSellerReviews = {
+  method: 'get',
+  path: '/users/:id/reviews',
+  params: idParams('id'),
+  query: {
+    type: 'object',
+    properties: pageQuery,
+  },
+};
@@ -1,50 +1,11 @@
-import express from 'express';
-import dotenv from 'dotenv';
-import cors from 'cors';
-import morgan from 'morgan';
-import { PrismaClient } from '@prisma/client';
-import authRoutes from './routes/authRoutes.js';
-import userRoutes from './routes/userRoutes.js';
-import productRoutes from './routes/productRoutes.js';
-import reportRoute from './routes/reportRoute.js';
-import swaggerUi from 'swagger-ui-express';
-import swaggerSpec from './swagger.js';
+import 'dotenv/config'; // first, so modules that read env at import time see .env values
+import { createServer } from 'http';
+import app from './app.js';
+import { initSocket } from './utils/socket.js';
 
-dotenv.config();
-
-const prisma = new PrismaClient();
-const app = express();
-
-// Middlewares
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(morgan('dev'));
-
-// Swagger UI setup
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-
-// API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/reports', reportRoute);
-
-// Default route
-app.get('/', (req, res) => {
-  res.send('Unimart API is running... <a href="/api-docs">View API Docs</a>');
-});
-
-// 404 Handler
-app.use((req, res, next) => {
-  res.status(404).json({ message: 'Route not found' });
-});
-
-// Error Handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ message: 'Something went wrong', error: err.message });
-});
+// Socket.IO shares the HTTP server so both run on the same port
+const server = createServer(app);
+initSocket(server);
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
+server.listen(PORT, () => console.log(`🚀 Server running on port ${PORT}`));
\ No newline at end of file
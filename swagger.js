@@ -1,4 +1,5 @@
 import swaggerJSDoc from 'swagger-jsdoc';
+import { routeSchemas, componentSchemas } from './schemas/index.js';
 
 const swaggerDefinition = {
   openapi: '3.0.0',
@@ -21,6 +22,26 @@ const swaggerDefinition = {
         bearerFormat: 'JWT',
       },
     },
+    schemas: {
+      ...componentSchemas,
+      ValidationError: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', example: 'Validation failed' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['params', 'query', 'body'] },
+                field: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+    },
   },
 };
 
@@ -31,4 +52,70 @@ const options = {
 
 const swaggerSpec = swaggerJSDoc(options);
 
-export default swaggerSpec;
\ No newline at end of file
+// Parameters and request bodies come from the same schemas validateMiddleware checks requests
+// against, so the JSDoc blocks only describe summaries and responses.
+const componentRefs = new Map(Object.entries(componentSchemas).map(([name, schema]) => [schema, name]));
+
+const schemaOrRef = (schema) =>
+  componentRefs.has(schema) ? { $ref: `#/components/schemas/${componentRefs.get(schema)}` } : schema;
+
+const toParameters = (schema, location) =>
+  Object.entries(schema?.properties ?? {}).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      in: location,
+      name,
+      required: location === 'path' || Boolean(schema.required?.includes(name)),
+      ...(description && { description }),
+      schema: rest,
+    };
+  });
+
+const fileProperty = ({ maxCount, description }) => {
+  const file = { type: 'string', format: 'binary' };
+  return {
+    ...(maxCount > 1 ? { type: 'array', maxItems: maxCount, items: file } : file),
+    ...(description && { description }),
+  };
+};
+
+const toRequestBody = ({ body, files }) => {
+  if (!body && !files) return undefined;
+  if (!files) return { required: Boolean(body.required?.length), content: { 'application/json': { schema: schemaOrRef(body) } } };
+
+  const requiredFiles = Object.keys(files).filter((name) => files[name].required);
+  const fileSchema = {
+    type: 'object',
+    ...(requiredFiles.length && { required: requiredFiles }),
+    properties: Object.fromEntries(Object.entries(files).map(([name, file]) => [name, fileProperty(file)])),
+  };
+
+  return {
+    required: true,
+    content: {
+      ...(body && { 'application/json': { schema: schemaOrRef(body) } }),
+      'multipart/form-data': { schema: body ? { allOf: [schemaOrRef(body), fileSchema] } : fileSchema },
+    },
+  };
+};
+
+for (const route of routeSchemas) {
+  const path = route.path.replace(/:(\w+)/g, '{$1}');
+  swaggerSpec.paths[path] ??= {};
+  const operation = (swaggerSpec.paths[path][route.method] ??= { responses: {} });
+
+  const parameters = [...toParameters(route.params, 'path'), ...toParameters(route.query, 'query')];
+  if (parameters.length) operation.parameters = parameters;
+
+  const requestBody = toRequestBody(route);
+  if (requestBody) operation.requestBody = requestBody;
+
+  if (route.params || route.query || route.body) {
+    operation.responses['400'] = {
+      description: operation.responses['400']?.description ?? 'Validation failed',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+    };
+  }
+}
+
+export default swaggerSpec;
@@ -0,0 +1,43 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { db } from './helpers/db.js';
+import { makeUser, serveUsers, PASSWORD, expectNoSecrets } from './helpers/fixtures.js';
+
+describe('POST /api/auth/register', () => {
+  it('returns the new account without its password or codes', async () => {
+    db.user.create.mockImplementation(async ({ data }) => makeUser({ ...data, isVerified: false }));
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ fullName: 'Ada Obi', email: 'ada@unilag.edu.ng', password: PASSWORD });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.email).toBe('ada@unilag.edu.ng');
+    expectNoSecrets(res.body);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  it('returns the account and tokens without its password or codes', async () => {
+    const user = makeUser();
+    serveUsers(user);
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.id).toBe(user.id);
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expectNoSecrets(res.body);
+  });
+
+  it('answers a wrong password without revealing the account', async () => {
+    const user = makeUser();
+    serveUsers(user);
+
+    const res = await request(app).post('/api/auth/login').send({ email: user.email, password: 'not the password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ message: 'Invalid credentials' });
+  });
+});
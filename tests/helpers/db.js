@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { vi } from 'vitest';
+
+// A stand-in for PrismaClient. Tests set what each model method returns on `db`
+// (db.user.findUnique.mockResolvedValue(row)); the app gets `client`, which applies the
+// query's select/include to those rows the way Prisma would. Fixtures can therefore hold every
+// column, password hash included, and only what a query asks for reaches the controller.
+
+const READ_METHODS = ['findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany'];
+const WRITE_METHODS = ['create', 'update', 'upsert', 'delete'];
+const BATCH_METHODS = ['createMany', 'updateMany', 'deleteMany'];
+
+export const newId = () => crypto.randomBytes(12).toString('hex');
+
+let relationsByModel = new Map();
+
+// Remembers which fields of each model are relations, from the generated client's datamodel.
+export const useDatamodel = (datamodel) => {
+  relationsByModel = new Map(datamodel.models.map((model) => [
+    model.name,
+    new Map(model.fields.filter((field) => field.relationName).map((field) => [field.name, field.type])),
+  ]));
+};
+
+const modelName = (delegate) => delegate[0].toUpperCase() + delegate.slice(1);
+
+export const project = (model, value, args = {}) => {
+  if (Array.isArray(value)) return value.map((row) => project(model, row, args));
+  if (!value || typeof value !== 'object') return value;
+
+  const relations = relationsByModel.get(model) ?? new Map();
+  const nested = (key, spec) => project(relations.get(key), value[key], spec === true ? {} : spec);
+
+  if (args.select) {
+    return Object.fromEntries(Object.entries(args.select)
+      .filter(([key, spec]) => spec && key in value)
+      .map(([key, spec]) => [key, relations.has(key) ? nested(key, spec) : value[key]]));
+  }
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !relations.has(key) || args.include?.[key])
+    .map(([key]) => [key, relations.has(key) ? nested(key, args.include[key]) : value[key]]));
+};
+
+const defaultResult = (method, args = {}) => {
+  if (['findMany', 'groupBy', 'aggregateRaw'].includes(method)) return [];
+  if (method === 'count') return 0;
+  if (BATCH_METHODS.includes(method)) return { count: 0 };
+  if (method === 'create' || method === 'upsert') {
+    return { id: newId(), createdAt: new Date(), ...(args.data ?? args.create) };
+  }
+  if (method === 'update') return { id: args.where?.id, ...args.data };
+  if (method === 'aggregate') {
+    return Object.fromEntries(Object.entries(args)
+      .filter(([key]) => key.startsWith('_'))
+      .map(([key, fields]) => [key, Object.fromEntries(Object.keys(fields).map((field) => [field, key === '_count' ? 0 : null]))]));
+  }
+  return null;
+};
+
+const models = new Map();
+
+const mockModel = () => Object.fromEntries(
+  [...READ_METHODS, ...WRITE_METHODS, ...BATCH_METHODS, 'count', 'aggregate', 'aggregateRaw', 'groupBy']
+    .map((method) => [method, vi.fn(async (args) => defaultResult(method, args))]),
+);
+
+const modelMocks = (delegate) => {
+  if (!models.has(delegate)) models.set(delegate, mockModel());
+  return models.get(delegate);
+};
+
+export const db = new Proxy({}, {
+  get: (target, delegate) => (typeof delegate === 'string' ? modelMocks(delegate) : undefined),
+});
+
+export const client = new Proxy({}, {
+  get: (target, delegate) => {
+    if (delegate === '$transaction') {
+      return (work) => (typeof work === 'function' ? work(client) : Promise.all(work));
+    }
+    if (typeof delegate !== 'string' || delegate.startsWith('$') || delegate === 'then') return undefined;
+
+    const mocks = modelMocks(delegate);
+    return new Proxy(mocks, {
+      get: (methods, method) => {
+        if (![...READ_METHODS, ...WRITE_METHODS].includes(method)) return methods[method];
+        return async (args = {}) => project(modelName(delegate), await methods[method](args), args);
+      },
+    });
+  },
+});
+
+// Fresh mocks for every test, so return values set by one test never leak into the next.
+export const resetDb = () => models.clear();
@@ -0,0 +1,118 @@
+import bcrypt from 'bcrypt';
+import jwt from 'jsonwebtoken';
+import { expect } from 'vitest';
+import { db, newId } from './db.js';
+
+export const PASSWORD = 'correct horse battery';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+// Columns that must never leave the API, including ones older documents still carry
+export const SECRET_FIELDS = ['password', 'otp', 'otpExpiry', 'refreshTokenHash'];
+
+// Contact fields other people only see when the owner's privacy flag allows it
+export const CONTACT_FIELDS = { showEmail: 'email', showWhatsapp: 'whatsappNum', showAddress: 'address' };
+
+const HIDE_CONTACTS = { showEmail: false, showWhatsapp: false, showAddress: false, showDepartment: true, showLevel: true };
+
+// A user row as the database holds it, every column included.
+export const makeUser = (overrides = {}) => {
+  const id = overrides.id ?? newId();
+  return {
+    id,
+    fullName: 'Ada Obi',
+    email: `${id}@unilag.edu.ng`,
+    password: passwordHash,
+    otp: '123456',
+    otpExpiry: new Date(Date.now() + 60 * 1000),
+    refreshTokenHash: 'stored-refresh-hash',
+    profileUrl: null,
+    isVerified: true,
+    department: 'Computer Science',
+    level: '300',
+    bio: 'Selling my old textbooks',
+    whatsappNum: '+2348000000000',
+    address: 'Room 12, Jaja Hall',
+    role: 'user',
+    suspendedUntil: null,
+    bannedAt: null,
+    campusId: null,
+    campus: null,
+    pendingEmail: null,
+    deletionScheduledFor: null,
+    deletedAt: null,
+    notificationSettings: null,
+    createdAt: new Date('2026-01-01'),
+    updatedAt: new Date('2026-01-01'),
+    ...overrides,
+    privacy: { id: newId(), userId: id, ...HIDE_CONTACTS, ...overrides.privacy },
+  };
+};
+
+export const makeProduct = (seller, overrides = {}) => ({
+  id: newId(),
+  title: 'Intro to Algorithms',
+  description: 'Barely used',
+  price: 15000,
+  category: 'Textbooks',
+  categoryId: null,
+  attributes: [],
+  location: 'Akoka',
+  availability: 1,
+  imageUrl: null,
+  thumbnailUrl: null,
+  isHidden: false,
+  isDraft: false,
+  expiredAt: null,
+  campusId: null,
+  sellerId: seller.id,
+  seller,
+  images: [],
+  createdAt: new Date('2026-02-01'),
+  updatedAt: new Date('2026-02-01'),
+  ...overrides,
+});
+
+// An authorization header for the user, backed by an active session.
+export const signIn = (user) => {
+  const session = {
+    id: newId(),
+    userId: user.id,
+    refreshTokenHash: 'stored-refresh-hash',
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    user,
+  };
+  db.session.findUnique.mockImplementation(async ({ where }) => (where.id === session.id ? session : null));
+  return `Bearer ${jwt.sign({ id: user.id, sid: session.id }, process.env.JWT_SECRET)}`;
+};
+
+// Looks user rows up by ID or email, like findUnique would.
+export const serveUsers = (...users) => {
+  db.user.findUnique.mockImplementation(async ({ where }) =>
+    users.find((user) => user.id === where.id || (where.email && user.email === where.email)) ?? null);
+};
+
+const everyObject = (value) => {
+  if (Array.isArray(value)) return value.flatMap(everyObject);
+  if (!value || typeof value !== 'object') return [];
+  return [value, ...Object.values(value).flatMap(everyObject)];
+};
+
+export const expectNoSecrets = (body) => {
+  for (const object of everyObject(body)) {
+    for (const field of SECRET_FIELDS) expect(object).not.toHaveProperty(field);
+  }
+};
+
+// Checks a user as someone else sees it: each contact field only where its flag is on.
+export const expectContactsFollowPrivacy = (shown, user) => {
+  for (const [flag, field] of Object.entries(CONTACT_FIELDS)) {
+    if (user.privacy[flag]) expect(shown[field]).toBe(user[field]);
+    else expect(shown).not.toHaveProperty(field);
+  }
+};
+
+// Checks a user that is only named (on an order, review or message): no contact fields at all.
+export const expectNoContacts = (shown) => {
+  for (const field of Object.values(CONTACT_FIELDS)) expect(shown).not.toHaveProperty(field);
+};
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { db, newId } from './helpers/db.js';
+import { makeUser } from './helpers/fixtures.js';
+import { jobHandlers } from '../utils/queue/handlers.js';
+
+// Applies the `{ relation: { none: {} } }` filters of a query to users whose related rows are listed on them.
+const withoutReferences = (users, where) => users.filter((user) => Object.entries(where)
+  .filter(([, filter]) => filter?.none)
+  .every(([relation]) => !user[relation]?.length));
+
+describe('users.cleanupUnverified', () => {
+  const cleanup = () => jobHandlers['users.cleanupUnverified']({ maxAgeDays: 7 });
+  const staleUser = (overrides) => makeUser({ isVerified: false, createdAt: new Date('2026-01-01'), ...overrides });
+
+  it('keeps a stale account someone has messaged and removes the rest', async () => {
+    const messaged = staleUser({ receivedMessages: [{ id: newId() }] });
+    const untouched = staleUser();
+    const users = [messaged, untouched];
+    db.user.findMany.mockImplementation(async ({ where }) => withoutReferences(users, where));
+    db.user.deleteMany.mockImplementation(async ({ where }) => ({
+      count: withoutReferences(users, where).filter((user) => where.id.in.includes(user.id)).length,
+    }));
+
+    await cleanup();
+
+    expect(db.user.deleteMany).toHaveBeenCalledWith({
+      where: expect.objectContaining({ id: { in: [untouched.id] }, receivedMessages: { none: {} } }),
+    });
+    expect(db.otp.deleteMany).toHaveBeenCalledWith({ where: { userId: { in: [untouched.id] } } });
+    expect(db.privacy.deleteMany).toHaveBeenCalledWith({
+      where: { userId: { in: [untouched.id] }, user: { is: expect.objectContaining({ reportedBy: { none: {} } }) } },
+    });
+  });
+
+  it('does nothing when every stale account is still referenced', async () => {
+    const reported = staleUser({ reportedBy: [{ id: newId() }] });
+    db.user.findMany.mockImplementation(async ({ where }) => withoutReferences([reported], where));
+
+    await cleanup();
+
+    expect(db.user.deleteMany).not.toHaveBeenCalled();
+  });
+});
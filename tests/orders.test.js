@@ -0,0 +1,188 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { publicProductWhere } from '../utils/filters.js';
+import { db, newId } from './helpers/db.js';
+import { makeUser, makeProduct, signIn, expectNoSecrets, expectNoContacts } from './helpers/fixtures.js';
+
+const buyer = makeUser({ fullName: 'Buyer' });
+const seller = makeUser({
+  fullName: 'Seller',
+  privacy: { showEmail: true, showWhatsapp: true, showAddress: true },
+});
+
+const makeOrder = () => {
+  const product = makeProduct(seller);
+  return {
+    id: newId(),
+    productId: product.id,
+    product,
+    buyerId: buyer.id,
+    buyer,
+    sellerId: seller.id,
+    seller,
+    productTitle: product.title,
+    unitPrice: product.price,
+    quantity: 1,
+    status: 'pending',
+    createdAt: new Date('2026-03-01'),
+  };
+};
+
+describe('GET /api/orders', () => {
+  it('names both parties without their contact details', async () => {
+    const auth = signIn(buyer);
+    db.order.findMany.mockResolvedValue([makeOrder()]);
+
+    const res = await request(app).get('/api/orders').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.orders).toHaveLength(1);
+    expectNoSecrets(res.body);
+    expectNoContacts(res.body.orders[0].buyer);
+    expectNoContacts(res.body.orders[0].seller);
+    expect(res.body.orders[0].product).not.toHaveProperty('seller');
+  });
+});
+
+describe('GET /api/orders/:id', () => {
+  it('names both parties without their contact details', async () => {
+    const auth = signIn(buyer);
+    const order = makeOrder();
+    db.order.findUnique.mockResolvedValue(order);
+
+    const res = await request(app).get(`/api/orders/${order.id}`).set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.seller.fullName).toBe(seller.fullName);
+    expectNoSecrets(res.body);
+    expectNoContacts(res.body.buyer);
+    expectNoContacts(res.body.seller);
+  });
+});
+
+describe('POST /api/orders', () => {
+  const order = (auth, body) => request(app).post('/api/orders').set('Authorization', auth).send(body);
+
+  it('takes the quantity from stock only while enough is left', async () => {
+    const auth = signIn(buyer);
+    const product = makeProduct(seller, { availability: 5 });
+    db.product.findUnique.mockResolvedValue(product);
+    db.product.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await order(auth, { productId: product.id, quantity: 2 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ productId: product.id, buyerId: buyer.id, sellerId: seller.id, quantity: 2 });
+    expect(db.product.updateMany).toHaveBeenCalledWith({
+      where: { id: product.id, availability: { gte: 2 }, ...publicProductWhere },
+      data: { availability: { decrement: 2 } },
+    });
+  });
+
+  it('refuses an order the remaining stock cannot fill', async () => {
+    const auth = signIn(buyer);
+    const product = makeProduct(seller, { availability: 1 });
+    db.product.findUnique.mockResolvedValue(product);
+    db.product.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await order(auth, { productId: product.id, quantity: 2 });
+
+    expect(res.status).toBe(409);
+    expect(db.order.create).not.toHaveBeenCalled();
+  });
+
+  it('treats hidden and draft listings as missing', async () => {
+    const auth = signIn(buyer);
+    for (const product of [makeProduct(seller, { isHidden: true }), makeProduct(seller, { isDraft: true })]) {
+      db.product.findUnique.mockResolvedValue(product);
+
+      const res = await order(auth, { productId: product.id });
+
+      expect(res.status).toBe(404);
+    }
+    expect(db.product.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses orders for your own product', async () => {
+    const auth = signIn(seller);
+    const product = makeProduct(seller);
+    db.product.findUnique.mockResolvedValue(product);
+
+    const res = await order(auth, { productId: product.id });
+
+    expect(res.status).toBe(400);
+    expect(db.product.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('PATCH /api/orders/:id', () => {
+  const move = (auth, existing, body) => {
+    db.order.findUnique.mockResolvedValue(existing);
+    return request(app).patch(`/api/orders/${existing.id}`).set('Authorization', auth).send(body);
+  };
+
+  it('lets the seller accept a pending order', async () => {
+    const existing = makeOrder();
+    db.order.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await move(signIn(seller), existing, { status: 'accepted' });
+
+    expect(res.status).toBe(200);
+    expect(db.order.updateMany).toHaveBeenCalledWith({
+      where: { id: existing.id, status: 'pending' },
+      data: expect.objectContaining({ status: 'accepted', acceptedAt: expect.any(Date) }),
+    });
+    expect(db.product.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('returns the stock when the seller declines', async () => {
+    const existing = { ...makeOrder(), quantity: 3 };
+    db.order.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await move(signIn(seller), existing, { status: 'declined' });
+
+    expect(res.status).toBe(200);
+    expect(db.product.updateMany).toHaveBeenCalledWith({
+      where: { id: existing.productId },
+      data: { availability: { increment: 3 } },
+    });
+  });
+
+  it('records who cancelled and why', async () => {
+    const existing = { ...makeOrder(), status: 'accepted' };
+    db.order.updateMany.mockResolvedValue({ count: 1 });
+
+    const res = await move(signIn(buyer), existing, { status: 'cancelled', reason: 'Found one nearer' });
+
+    expect(res.status).toBe(200);
+    expect(db.order.updateMany).toHaveBeenCalledWith({
+      where: { id: existing.id, status: 'accepted' },
+      data: expect.objectContaining({ status: 'cancelled', cancelReason: 'Found one nearer', cancelledBy: buyer.id }),
+    });
+    expect(db.product.updateMany).toHaveBeenCalled();
+  });
+
+  it('only lets the side named for a status set it', async () => {
+    const res = await move(signIn(buyer), makeOrder(), { status: 'accepted' });
+
+    expect(res.status).toBe(403);
+    expect(db.order.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('refuses a change the current status does not allow', async () => {
+    const res = await move(signIn(buyer), { ...makeOrder(), status: 'pending' }, { status: 'completed' });
+
+    expect(res.status).toBe(409);
+    expect(db.order.updateMany).not.toHaveBeenCalled();
+  });
+
+  it('leaves the stock alone when another change got there first', async () => {
+    db.order.updateMany.mockResolvedValue({ count: 0 });
+
+    const res = await move(signIn(seller), makeOrder(), { status: 'declined' });
+
+    expect(res.status).toBe(409);
+    expect(db.product.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { db, newId } from './helpers/db.js';
+import { makeUser, serveUsers } from './helpers/fixtures.js';
+import { issueOtp, OTP_MAX_ATTEMPTS } from '../utils/otp.js';
+
+// Keeps the user's codes in memory and applies the conditional updates verifyOtp relies on.
+const serveOtps = () => {
+  const otps = new Map();
+  const matches = (otp, where) =>
+    (where.attempts?.lt === undefined || otp.attempts < where.attempts.lt)
+    && (where.consumedAt !== null || !otp.consumedAt)
+    && (where.codeHash === undefined || otp.codeHash === where.codeHash);
+
+  db.otp.findUnique.mockImplementation(async ({ where }) => otps.get(where.userId_purpose.purpose) ?? null);
+  db.otp.upsert.mockImplementation(async ({ create, update }) => {
+    const otp = otps.has(create.purpose) ? { ...otps.get(create.purpose), ...update } : { id: newId(), ...create };
+    otps.set(create.purpose, otp);
+    return otp;
+  });
+  db.otp.updateMany.mockImplementation(async ({ where, data }) => {
+    const otp = [...otps.values()].find((entry) => entry.id === where.id);
+    if (!otp || !matches(otp, where)) return { count: 0 };
+    if (data.attempts) otp.attempts += data.attempts.increment;
+    if (data.consumedAt) otp.consumedAt = data.consumedAt;
+    return { count: 1 };
+  });
+  return otps;
+};
+
+const verify = (user, otp, purpose = 'verify') =>
+  request(app).post('/api/auth/verify-otp').send({ email: user.email, otp, purpose });
+
+const wrongCode = (code) => String((Number(code) + 1) % 1_000_000).padStart(6, '0');
+
+describe('POST /api/auth/verify-otp', () => {
+  it('verifies the email once and refuses the same code again', async () => {
+    const user = makeUser({ isVerified: false });
+    serveUsers(user);
+    serveOtps();
+    const code = await issueOtp(user.id, 'verify_email');
+
+    const first = await verify(user, code);
+    const again = await verify(user, code);
+
+    expect(first.status).toBe(200);
+    expect(db.user.update).toHaveBeenCalledWith({ where: { id: user.id }, data: { isVerified: true } });
+    expect(again.status).toBe(400);
+  });
+
+  it('kills the code after OTP_MAX_ATTEMPTS wrong guesses, even for the right one', async () => {
+    const user = makeUser({ isVerified: false });
+    serveUsers(user);
+    serveOtps();
+    const code = await issueOtp(user.id, 'verify_email');
+
+    const guesses = [];
+    for (let attempt = 0; attempt < OTP_MAX_ATTEMPTS; attempt += 1) {
+      guesses.push((await verify(user, wrongCode(code))).status);
+    }
+    const right = await verify(user, code);
+
+    expect(guesses).toEqual([...Array(OTP_MAX_ATTEMPTS - 1).fill(400), 429]);
+    expect(right.status).toBe(429);
+    expect(db.user.update).not.toHaveBeenCalled();
+  });
+
+  it('refuses an expired code', async () => {
+    const user = makeUser({ isVerified: false });
+    serveUsers(user);
+    const otps = serveOtps();
+    const code = await issueOtp(user.id, 'verify_email');
+    otps.get('verify_email').expiresAt = new Date(Date.now() - 1000);
+
+    const res = await verify(user, code);
+
+    expect(res.status).toBe(400);
+    expect(db.user.update).not.toHaveBeenCalled();
+  });
+
+  it('leaves a reset code usable for the reset itself, which then uses it up', async () => {
+    const user = makeUser();
+    serveUsers(user);
+    serveOtps();
+    const code = await issueOtp(user.id, 'reset_password');
+    const reset = () => request(app)
+      .post('/api/auth/reset-password')
+      .send({ email: user.email, otp: code, newPassword: 'a brand new passphrase' });
+
+    const checked = await verify(user, code, 'forgot-password');
+    const first = await reset();
+    const again = await reset();
+
+    expect(checked.status).toBe(200);
+    expect(first.status).toBe(200);
+    expect(again.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/resend-otp', () => {
+  const resend = (user, body = {}) => request(app).post('/api/auth/resend-otp').send({ email: user.email, ...body });
+  const issuedPurposes = () => db.otp.upsert.mock.calls.map(([{ create }]) => create.purpose);
+
+  it.each([
+    ['an unverified account a verification code', false, 'verify_email'],
+    ['a verified account a password reset code', true, 'reset_password'],
+  ])('sends %s when no purpose is given', async (_, isVerified, purpose) => {
+    const user = makeUser({ isVerified });
+    serveUsers(user);
+    serveOtps();
+
+    const res = await resend(user);
+
+    expect(res.status).toBe(200);
+    expect(issuedPurposes()).toEqual([purpose]);
+  });
+
+  it('refuses a verification code for a verified account', async () => {
+    const user = makeUser();
+    serveUsers(user);
+    serveOtps();
+
+    const res = await resend(user, { purpose: 'verify' });
+
+    expect(res.status).toBe(400);
+    expect(issuedPurposes()).toEqual([]);
+  });
+
+  it('waits out the cooldown before sending another code', async () => {
+    const user = makeUser({ isVerified: false });
+    serveUsers(user);
+    serveOtps();
+
+    const first = await resend(user, { purpose: 'verify' });
+    const second = await resend(user, { purpose: 'verify' });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(429);
+  });
+});
@@ -0,0 +1,48 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { db } from './helpers/db.js';
+import {
+  makeUser,
+  makeProduct,
+  expectNoSecrets,
+  expectContactsFollowPrivacy,
+} from './helpers/fixtures.js';
+
+const privateSeller = makeUser({ fullName: 'Private Seller' });
+const openSeller = makeUser({
+  fullName: 'Open Seller',
+  privacy: { showEmail: true, showWhatsapp: true, showAddress: true },
+});
+
+describe('GET /api/products', () => {
+  it('shows each seller\'s contact details only where their privacy flags allow', async () => {
+    const products = [makeProduct(privateSeller), makeProduct(openSeller)];
+    db.product.findMany.mockResolvedValue(products);
+
+    const res = await request(app).get('/api/products?campus=all');
+
+    expect(res.status).toBe(200);
+    expect(res.body.products).toHaveLength(2);
+    expectNoSecrets(res.body);
+    expectContactsFollowPrivacy(res.body.products[0].seller, privateSeller);
+    expectContactsFollowPrivacy(res.body.products[1].seller, openSeller);
+  });
+});
+
+describe('GET /api/products/:id', () => {
+  it.each([
+    ['hides', privateSeller],
+    ['shows', openSeller],
+  ])('%s the seller\'s contact details as their privacy flags say', async (_, seller) => {
+    const product = makeProduct(seller);
+    db.product.findUnique.mockResolvedValue(product);
+
+    const res = await request(app).get(`/api/products/${product.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(product.id);
+    expectNoSecrets(res.body);
+    expectContactsFollowPrivacy(res.body.seller, seller);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, newId } from './helpers/db.js';
+import {
+  getPushSender,
+  sendPushToUser,
+  getSentPushes,
+  markEndpointGone,
+  clearSentPushes,
+} from '../utils/push/index.js';
+
+const userId = newId();
+
+const makeSubscription = (endpoint) => ({
+  id: newId(),
+  userId,
+  endpoint,
+  p256dh: 'device-public-key',
+  auth: 'device-auth-secret',
+});
+
+beforeEach(() => clearSentPushes());
+afterEach(() => vi.unstubAllEnvs());
+
+describe('getPushSender', () => {
+  it('is off until PUSH_SENDER or VAPID keys are set', () => {
+    vi.stubEnv('PUSH_SENDER', '');
+    vi.stubEnv('VAPID_PUBLIC_KEY', '');
+    vi.stubEnv('VAPID_PRIVATE_KEY', '');
+
+    expect(getPushSender()).toBeNull();
+  });
+
+  it('uses Web Push once VAPID keys are set', () => {
+    vi.stubEnv('PUSH_SENDER', '');
+    vi.stubEnv('VAPID_PUBLIC_KEY', 'public');
+    vi.stubEnv('VAPID_PRIVATE_KEY', 'private');
+
+    expect(getPushSender().name).toBe('webpush');
+  });
+
+  it('uses the in-memory sender only when asked for', () => {
+    vi.stubEnv('PUSH_SENDER', 'memory');
+    vi.stubEnv('VAPID_PUBLIC_KEY', 'public');
+    vi.stubEnv('VAPID_PRIVATE_KEY', 'private');
+
+    expect(getPushSender().name).toBe('memory');
+  });
+});
+
+describe('sendPushToUser with the in-memory sender', () => {
+  beforeEach(() => vi.stubEnv('PUSH_SENDER', 'memory'));
+
+  it('delivers the payload to every subscribed device', async () => {
+    db.pushSubscription.findMany.mockResolvedValue([
+      makeSubscription('https://push.example/phone'),
+      makeSubscription('https://push.example/laptop'),
+    ]);
+
+    const result = await sendPushToUser(userId, { title: 'Price drop', body: 'Now 12,000' });
+
+    expect(result).toEqual({ sent: 2, pruned: 0, failed: 0 });
+    expect(getSentPushes().map((push) => push.endpoint)).toEqual([
+      'https://push.example/phone',
+      'https://push.example/laptop',
+    ]);
+    expect(getSentPushes()[0].payload).toEqual({ title: 'Price drop', body: 'Now 12,000' });
+  });
+
+  it('deletes subscriptions the push service reports as gone', async () => {
+    const gone = makeSubscription('https://push.example/old-phone');
+    db.pushSubscription.findMany.mockResolvedValue([gone, makeSubscription('https://push.example/laptop')]);
+    markEndpointGone(gone.endpoint);
+
+    const result = await sendPushToUser(userId, { title: 'Order update' });
+
+    expect(result).toEqual({ sent: 1, pruned: 1, failed: 0 });
+    expect(db.pushSubscription.deleteMany).toHaveBeenCalledWith({ where: { id: gone.id } });
+    expect(getSentPushes()).toHaveLength(1);
+  });
+
+  it('keeps only the latest pushes in memory', async () => {
+    db.pushSubscription.findMany.mockResolvedValue([makeSubscription('https://push.example/phone')]);
+
+    for (let i = 0; i < 150; i += 1) await sendPushToUser(userId, { title: `Push ${i}` });
+
+    const kept = getSentPushes();
+    expect(kept).toHaveLength(100);
+    expect(kept.at(-1).payload.title).toBe('Push 149');
+  });
+});
@@ -0,0 +1,90 @@
+import request from 'supertest';
+import { describe, it, expect, vi } from 'vitest';
+import app from '../app.js';
+import { makeUser, serveUsers, PASSWORD } from './helpers/fixtures.js';
+
+// Read when app.js loads, so each test can stand for its own client with X-Forwarded-For.
+// Counters live in the in-memory store (RATE_LIMIT_STORE=memory in vitest.config.js).
+vi.hoisted(() => {
+  process.env.TRUST_PROXY_HOPS = '1';
+});
+
+let lastIp = 0;
+const newIp = () => `203.0.113.${(lastIp += 1)}`;
+
+const send = (path, body, ip = newIp()) => request(app).post(`/api/auth${path}`).set('X-Forwarded-For', ip).send(body);
+
+const sendTimes = async (times, next) => {
+  const statuses = [];
+  for (let i = 0; i < times; i += 1) statuses.push((await next()).status);
+  return statuses;
+};
+
+const expectRetryAfter = (res, windowSeconds) => {
+  const seconds = Number(res.headers['retry-after']);
+  expect(seconds).toBeGreaterThan(0);
+  expect(seconds).toBeLessThanOrEqual(windowSeconds);
+};
+
+describe('per-IP limits', () => {
+  it('answers 429 with Retry-After once a client passes the limit, and only for that client', async () => {
+    const ip = newIp();
+
+    const allowed = await sendTimes(10, () => send('/register', {}, ip));
+    const limited = await send('/register', {}, ip);
+    const otherClient = await send('/register', {});
+
+    expect(allowed.every((status) => status === 400)).toBe(true);
+    expect(limited.status).toBe(429);
+    expectRetryAfter(limited, 60 * 60);
+    expect(otherClient.status).toBe(400);
+  });
+});
+
+describe('per-email limits', () => {
+  it('caps codes sent to one address however many clients ask', async () => {
+    const email = 'target@unilag.edu.ng';
+
+    const allowed = await sendTimes(5, () => send('/forgot-password', { email }));
+    const limited = await send('/forgot-password', { email });
+    const otherEmail = await send('/forgot-password', { email: 'someone.else@unilag.edu.ng' });
+
+    expect(allowed).toEqual(Array(5).fill(404));
+    expect(limited.status).toBe(429);
+    expect(limited.body.message).toBe('Too many codes requested for this email. Please try again later.');
+    expectRetryAfter(limited, 60 * 60);
+    expect(otherEmail.status).toBe(404);
+  });
+});
+
+describe('login lockout', () => {
+  it('locks an account after five wrong passwords, even for the right one', async () => {
+    const user = makeUser();
+    const other = makeUser();
+    serveUsers(user, other);
+
+    const failures = await sendTimes(5, () => send('/login', { email: user.email, password: 'wrong password' }));
+    const locked = await send('/login', { email: user.email, password: PASSWORD });
+    const otherAccount = await send('/login', { email: other.email, password: PASSWORD });
+
+    expect(failures).toEqual(Array(5).fill(400));
+    expect(locked.status).toBe(429);
+    expect(locked.body.message).toBe('Too many failed login attempts. Please try again later.');
+    expectRetryAfter(locked, 15 * 60);
+    expect(otherAccount.status).toBe(200);
+  });
+
+  it('forgets earlier failures once the right password gets in', async () => {
+    const user = makeUser();
+    serveUsers(user);
+    const wrong = () => send('/login', { email: user.email, password: 'wrong password' });
+
+    await sendTimes(4, wrong);
+    const first = await send('/login', { email: user.email, password: PASSWORD });
+    await sendTimes(4, wrong);
+    const second = await send('/login', { email: user.email, password: PASSWORD });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+  });
+});
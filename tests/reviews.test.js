@@ -0,0 +1,139 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { db, newId } from './helpers/db.js';
+import { makeUser, makeProduct, signIn, expectNoSecrets, expectNoContacts } from './helpers/fixtures.js';
+
+const reviewer = makeUser({
+  fullName: 'Reviewer',
+  privacy: { showEmail: true, showWhatsapp: true, showAddress: true },
+});
+const seller = makeUser({ fullName: 'Seller' });
+
+const makeReview = (product) => ({
+  id: newId(),
+  reviewerId: reviewer.id,
+  reviewer,
+  sellerId: seller.id,
+  seller,
+  productId: product.id,
+  productTitle: product.title,
+  rating: 5,
+  comment: 'Smooth hand-over',
+  verifiedPurchase: true,
+  removedAt: null,
+  createdAt: new Date('2026-03-01'),
+});
+
+describe('GET /api/users/:id/reviews', () => {
+  it('names reviewers without their contact details', async () => {
+    db.user.findUnique.mockResolvedValue(seller);
+    db.review.findMany.mockResolvedValue([makeReview(makeProduct(seller))]);
+
+    const res = await request(app).get(`/api/users/${seller.id}/reviews`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.reviews).toHaveLength(1);
+    expectNoSecrets(res.body);
+    expectNoContacts(res.body.reviews[0].reviewer);
+    expect(res.body.reviews[0]).not.toHaveProperty('seller');
+  });
+});
+
+describe('POST /api/reviews', () => {
+  it('returns the review naming its author without their contact details', async () => {
+    const auth = signIn(reviewer);
+    const product = makeProduct(seller);
+    db.product.findUnique.mockResolvedValue(product);
+    db.order.findFirst.mockResolvedValue({ id: newId(), status: 'completed' });
+    db.review.create.mockImplementation(async ({ data }) => ({ ...makeReview(product), ...data }));
+
+    const res = await request(app)
+      .post('/api/reviews')
+      .set('Authorization', auth)
+      .send({ productId: product.id, rating: 5, comment: 'Smooth hand-over' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.reviewer.fullName).toBe(reviewer.fullName);
+    expectNoSecrets(res.body);
+    expectNoContacts(res.body.reviewer);
+  });
+});
+
+describe('POST /api/reviews gating', () => {
+  const review = (product) => request(app)
+    .post('/api/reviews')
+    .set('Authorization', signIn(reviewer))
+    .send({ productId: product.id, rating: 4 });
+
+  const sellerProduct = () => {
+    const product = makeProduct(seller);
+    db.product.findUnique.mockResolvedValue(product);
+    return product;
+  };
+
+  it('refuses a reviewer who has neither a completed order nor a reply from the seller', async () => {
+    const product = sellerProduct();
+
+    const res = await review(product);
+
+    expect(res.status).toBe(403);
+    expect(db.order.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { buyerId: reviewer.id, productId: product.id, status: 'completed' },
+    }));
+    expect(db.message.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { productId: product.id, fromUserId: seller.id, toUserId: reviewer.id },
+    }));
+    expect(db.review.create).not.toHaveBeenCalled();
+  });
+
+  it('accepts a reviewer the seller replied to, without marking it a verified purchase', async () => {
+    const product = sellerProduct();
+    db.message.findFirst.mockResolvedValue({ id: newId() });
+
+    const res = await review(product);
+
+    expect(res.status).toBe(201);
+    expect(db.review.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ verifiedPurchase: false }),
+    }));
+  });
+
+  it('marks a review backed by a completed order as a verified purchase', async () => {
+    const product = sellerProduct();
+    db.order.findFirst.mockResolvedValue({ id: newId() });
+
+    const res = await review(product);
+
+    expect(res.status).toBe(201);
+    expect(db.review.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ verifiedPurchase: true }),
+    }));
+  });
+
+  it.each([
+    ['the seller blocked the reviewer', seller, reviewer],
+    ['the reviewer blocked the seller', reviewer, seller],
+  ])('refuses the review when %s, even after an order', async (_, blocker, blocked) => {
+    const product = sellerProduct();
+    db.order.findFirst.mockResolvedValue({ id: newId() });
+    db.block.findUnique.mockImplementation(async ({ where: { blockerId_blockedId: pair } }) =>
+      (pair.blockerId === blocker.id && pair.blockedId === blocked.id ? { id: newId() } : null));
+
+    const res = await review(product);
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('You cannot review this seller.');
+    expect(db.review.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a review of your own product', async () => {
+    const product = makeProduct(reviewer);
+    db.product.findUnique.mockResolvedValue(product);
+
+    const res = await review(product);
+
+    expect(res.status).toBe(400);
+    expect(db.review.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,12 @@
+import { vi, beforeEach } from 'vitest';
+import { resetDb } from './helpers/db.js';
+
+// No database in tests: every module's PrismaClient is the stand-in from helpers/db.js.
+vi.mock('@prisma/client', async (importOriginal) => {
+  const actual = await importOriginal();
+  const { client, useDatamodel } = await import('./helpers/db.js');
+  useDatamodel(actual.Prisma.dmmf.datamodel);
+  return { ...actual, PrismaClient: function PrismaClient() { return client; } };
+});
+
+beforeEach(() => resetDb());
@@ -0,0 +1,214 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { publicProductWhere } from '../utils/filters.js';
+import { db, newId } from './helpers/db.js';
+import {
+  makeUser,
+  makeProduct,
+  signIn,
+  serveUsers,
+  expectNoSecrets,
+  expectContactsFollowPrivacy,
+  expectNoContacts,
+} from './helpers/fixtures.js';
+
+const viewer = makeUser({ fullName: 'Viewer' });
+const privateUser = makeUser({ fullName: 'Private User' });
+const openUser = makeUser({
+  fullName: 'Open User',
+  privacy: { showEmail: true, showWhatsapp: true, showAddress: true },
+});
+
+const makeMessage = (from, to, overrides = {}) => ({
+  id: newId(),
+  fromUserId: from.id,
+  fromUser: from,
+  toUserId: to.id,
+  toUser: to,
+  content: 'Is this still available?',
+  productId: null,
+  product: null,
+  read: false,
+  isHidden: false,
+  createdAt: new Date('2026-03-01'),
+  ...overrides,
+});
+
+describe('GET /api/users/:id', () => {
+  it.each([
+    ['hides', privateUser],
+    ['shows', openUser],
+  ])('%s contact details as the profile\'s privacy flags say', async (_, user) => {
+    db.user.findUnique.mockResolvedValue(user);
+
+    const res = await request(app).get(`/api/users/${user.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.fullName).toBe(user.fullName);
+    expectNoSecrets(res.body);
+    expectContactsFollowPrivacy(res.body, user);
+  });
+});
+
+describe('GET /api/users/wishlists', () => {
+  it('shows sellers of saved products as their privacy flags say', async () => {
+    const auth = signIn(viewer);
+    const products = [makeProduct(privateUser), makeProduct(openUser)];
+    db.wishlist.findMany.mockResolvedValue(products.map((product) => ({
+      id: newId(),
+      userId: viewer.id,
+      user: viewer,
+      productId: product.id,
+      product,
+    })));
+
+    const res = await request(app).get('/api/users/wishlists').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(2);
+    expectNoSecrets(res.body);
+    expect(res.body[0]).not.toHaveProperty('user');
+    expectContactsFollowPrivacy(res.body[0].product.seller, privateUser);
+    expectContactsFollowPrivacy(res.body[1].product.seller, openUser);
+  });
+});
+
+// A conversation row as the aggregation returns it, in extended JSON
+const conversationRow = (user, lastMessageAt) => ({ _id: { $oid: user.id }, lastMessageAt: { $date: lastMessageAt.toISOString() } });
+
+describe('GET /api/users/messages/conversations', () => {
+  it.each([
+    ['hides', privateUser],
+    ['shows', openUser],
+  ])('%s contact details on each counterpart\'s public profile as their privacy flags say', async (_, user) => {
+    const auth = signIn(viewer);
+    const message = makeMessage(user, viewer);
+    db.message.aggregateRaw.mockResolvedValue([conversationRow(user, message.createdAt)]);
+    db.message.groupBy.mockResolvedValue([{ fromUserId: user.id, _count: { _all: 1 } }]);
+    db.user.findMany.mockResolvedValue([user]);
+    db.message.findFirst.mockResolvedValue(message);
+
+    const res = await request(app).get('/api/users/messages/conversations').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.conversations).toHaveLength(1);
+    expect(res.body.conversations[0]).toMatchObject({
+      user: { id: user.id, fullName: user.fullName, bio: user.bio },
+      lastMessageAt: message.createdAt.toISOString(),
+      unreadCount: 1,
+    });
+    expectNoSecrets(res.body);
+    expectContactsFollowPrivacy(res.body.conversations[0].user, user);
+    expect(res.body.conversations[0].lastMessage).not.toHaveProperty('fromUser');
+  });
+
+  it('pages after the cursor\'s last message, breaking ties on the counterpart ID', async () => {
+    const auth = signIn(viewer);
+    const lastMessageAt = new Date('2026-03-01');
+    db.message.findFirst.mockResolvedValue({ createdAt: lastMessageAt });
+    db.message.aggregateRaw.mockResolvedValue([conversationRow(privateUser, lastMessageAt)]);
+    db.user.findMany.mockResolvedValue([privateUser]);
+
+    const res = await request(app)
+      .get(`/api/users/messages/conversations?cursor=${openUser.id}&limit=1`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.nextCursor).toBeNull();
+    const { pipeline } = db.message.aggregateRaw.mock.calls[0][0];
+    expect(pipeline).toContainEqual({
+      $match: {
+        $or: [
+          { lastMessageAt: { $lt: { $date: lastMessageAt.toISOString() } } },
+          { lastMessageAt: { $date: lastMessageAt.toISOString() }, _id: { $lt: { $oid: openUser.id } } },
+        ],
+      },
+    });
+    expect(pipeline.at(-1)).toEqual({ $limit: 2 });
+  });
+
+  it('refuses a cursor the user has no conversation with', async () => {
+    const res = await request(app)
+      .get(`/api/users/messages/conversations?cursor=${openUser.id}`)
+      .set('Authorization', signIn(viewer));
+
+    expect(res.status).toBe(400);
+    expect(db.message.aggregateRaw).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/users/messages/with/:userId', () => {
+  it.each([
+    ['before', 'lt', 'desc'],
+    ['after', 'gt', 'asc'],
+  ])('pages %s the anchor on createdAt, then ID for messages sent at the same moment', async (side, beyond, direction) => {
+    const auth = signIn(viewer);
+    const anchor = makeMessage(openUser, viewer);
+    db.message.findFirst.mockResolvedValue(anchor);
+
+    const res = await request(app)
+      .get(`/api/users/messages/with/${openUser.id}?${side}=${anchor.id}`)
+      .set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    const { where, orderBy } = db.message.findMany.mock.calls[0][0];
+    expect(where.AND).toContainEqual({
+      OR: [
+        { createdAt: { [beyond]: anchor.createdAt } },
+        { createdAt: anchor.createdAt, id: { [beyond]: anchor.id } },
+      ],
+    });
+    expect(orderBy).toEqual([{ createdAt: direction }, { id: direction }]);
+  });
+});
+
+describe('POST /api/users/message/send', () => {
+  it('refuses to start a thread about a hidden or draft listing', async () => {
+    const auth = signIn(viewer);
+    serveUsers(viewer, openUser);
+    const productId = newId();
+
+    const res = await request(app)
+      .post('/api/users/message/send')
+      .set('Authorization', auth)
+      .send({ toUserId: openUser.id, content: 'Still available?', productId });
+
+    expect(res.status).toBe(404);
+    expect(db.product.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+      where: { id: productId, ...publicProductWhere },
+    }));
+    expect(db.message.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/users/me/export', () => {
+  it('includes the account holder\'s own details but nobody\'s secrets', async () => {
+    const auth = signIn(viewer);
+    db.user.findUnique.mockResolvedValue(viewer);
+    db.product.findMany.mockResolvedValue([makeProduct(viewer)]);
+    db.message.findMany.mockResolvedValue([makeMessage(openUser, viewer), makeMessage(viewer, privateUser)]);
+    db.order.findMany.mockResolvedValue([{
+      id: newId(),
+      buyerId: viewer.id,
+      buyer: viewer,
+      sellerId: openUser.id,
+      seller: openUser,
+      status: 'completed',
+    }]);
+
+    const res = await request(app).get('/api/users/me/export').set('Authorization', auth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.profile.email).toBe(viewer.email);
+    expect(res.body.profile.whatsappNum).toBe(viewer.whatsappNum);
+    expectNoSecrets(res.body);
+    for (const message of res.body.messages) {
+      expectNoContacts(message.fromUser);
+      expectNoContacts(message.toUser);
+    }
+    expect(res.body.products[0]).not.toHaveProperty('seller');
+    expect(res.body.orders[0]).not.toHaveProperty('buyer');
+    expect(res.body.orders[0]).not.toHaveProperty('seller');
+  });
+});
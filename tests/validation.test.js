@@ -0,0 +1,94 @@
+import request from 'supertest';
+import { describe, it, expect } from 'vitest';
+import app from '../app.js';
+import { db, newId } from './helpers/db.js';
+import { makeUser, signIn } from './helpers/fixtures.js';
+
+// Controllers trust the route schemas for types, enums, IDs and required fields, so a bad request
+// has to stop at the validate middleware with a 400 and never reach the database.
+
+const user = makeUser();
+
+const fieldErrors = (res) => res.body.errors.map(({ in: location, field }) => `${location}.${field}`).sort();
+
+describe('validate middleware', () => {
+  it('rejects a JSON body with missing or mistyped fields', async () => {
+    const res = await request(app)
+      .post('/api/orders')
+      .set('Authorization', signIn(user))
+      .send({ quantity: '2', note: 42 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(fieldErrors(res)).toEqual(['body.note', 'body.productId', 'body.quantity']);
+    expect(db.product.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('rejects blank text and unknown enum values in a body', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ fullName: '   ', email: 'not-an-email', password: 'short' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toContainEqual({ in: 'body', field: 'fullName', message: 'must not be blank' });
+    expect(fieldErrors(res)).toEqual(['body.email', 'body.fullName', 'body.password']);
+    expect(db.user.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects fields a body does not allow', async () => {
+    const moderator = makeUser({ role: 'moderator' });
+    const res = await request(app)
+      .patch(`/api/moderation/reports/${newId()}`)
+      .set('Authorization', signIn(moderator))
+      .send({ status: 'resolved', reporterId: newId() });
+
+    expect(res.status).toBe(400);
+    expect(fieldErrors(res)).toEqual(['body.reporterId']);
+    expect(db.report.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('rejects a path param that is not an ID', async () => {
+    const res = await request(app).get('/api/orders/not-an-id').set('Authorization', signIn(user));
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ in: 'params', field: 'id', message: 'must be a valid ID' }]);
+    expect(db.order.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('rejects bad query values', async () => {
+    const res = await request(app)
+      .get('/api/orders?limit=0&role=admin&status=lost&cursor=123')
+      .set('Authorization', signIn(user));
+
+    expect(res.status).toBe(400);
+    expect(fieldErrors(res)).toEqual(['query.cursor', 'query.limit', 'query.role', 'query.status']);
+    expect(db.order.findMany).not.toHaveBeenCalled();
+  });
+
+  it('coerces query strings and fills in defaults before the controller runs', async () => {
+    await request(app).get('/api/orders?limit=5').set('Authorization', signIn(user)).expect(200);
+
+    expect(db.order.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { buyerId: user.id },
+      take: 6,
+    }));
+  });
+
+  it('coerces multipart fields, which only arrive as strings', async () => {
+    const post = (price) => request(app)
+      .post('/api/products')
+      .set('Authorization', signIn(user))
+      .field('title', 'Desk lamp')
+      .field('price', price)
+      .field('categoryId', newId());
+
+    const invalid = await post('cheap');
+    const valid = await post('12.5');
+
+    expect(invalid.status).toBe(400);
+    expect(fieldErrors(invalid)).toEqual(['body.price']);
+    // Past validation, the controller looks the category up and finds none
+    expect(valid.status).toBe(400);
+    expect(valid.body.message).toBe('Choose a category from the category list.');
+  });
+});
@@ -0,0 +1,110 @@
+import { PrismaClient } from '@prisma/client';
+import { deleteStoredImage } from './images.js';
+import { deleteProductImageFiles } from './productImages.js';
+import { notifyUsers } from './notifications.js';
+import { OPEN_ORDER_STATUSES } from '../controllers/orderController.js';
+
+const prisma = new PrismaClient();
+
+// How long a deletion request waits before it runs, so the user can change their mind
+export const ACCOUNT_DELETION_GRACE_DAYS = 14;
+
+// Cancels the user's open orders on both sides, returning stock to listings that stay up.
+const cancelOpenOrders = async (userId) => {
+  const orders = await prisma.order.findMany({
+    where: { OR: [{ buyerId: userId }, { sellerId: userId }], status: { in: OPEN_ORDER_STATUSES } },
+  });
+
+  for (const order of orders) {
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId, cancelReason: 'Account deleted' },
+      });
+      if (count && order.productId && order.buyerId === userId) {
+        await tx.product.updateMany({ where: { id: order.productId }, data: { availability: { increment: order.quantity } } });
+      }
+      return count > 0;
+    });
+    if (!cancelled) continue;
+
+    await notifyUsers([order.buyerId === userId ? order.sellerId : order.buyerId], {
+      type: 'order_update',
+      title: 'Order cancelled',
+      body: `The order for "${order.productTitle}" was cancelled because the other account was deleted.`,
+      data: { orderId: order.id, status: 'cancelled' },
+    });
+  }
+};
+
+// Listings go, except ones a report points at: those are hidden instead so moderators keep the evidence.
+const removeListings = async (userId) => {
+  const products = await prisma.product.findMany({ where: { sellerId: userId }, select: { id: true } });
+  const productIds = products.map((product) => product.id);
+  if (!productIds.length) return;
+
+  const reported = await prisma.report.findMany({
+    where: { productId: { in: productIds } },
+    select: { productId: true },
+  });
+  const keptIds = [...new Set(reported.map((report) => report.productId))];
+  const deletedIds = productIds.filter((id) => !keptIds.includes(id));
+  const images = await prisma.productImage.findMany({ where: { productId: { in: deletedIds } } });
+
+  await prisma.$transaction([
+    prisma.wishlist.deleteMany({ where: { productId: { in: productIds } } }),
+    prisma.product.updateMany({ where: { id: { in: keptIds } }, data: { isHidden: true, isDraft: true } }),
+    prisma.productImage.deleteMany({ where: { productId: { in: deletedIds } } }),
+    prisma.product.deleteMany({ where: { id: { in: deletedIds } } }),
+  ]);
+  await deleteProductImageFiles(images);
+};
+
+// Runs a deletion whose grace period is over. Personal data is removed and the user row is kept as
+// an anonymous "Deleted user", so the other side of each conversation, reviews and moderation
+// records still make sense. Safe to run again if it stops halfway.
+export const purgeAccount = async (userId) => {
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || user.deletedAt || !user.deletionScheduledFor || user.deletionScheduledFor > new Date()) return;
+
+  await cancelOpenOrders(user.id);
+  await removeListings(user.id);
+
+  await prisma.$transaction([
+    prisma.wishlist.deleteMany({ where: { userId: user.id } }),
+    prisma.block.deleteMany({ where: { OR: [{ blockerId: user.id }, { blockedId: user.id }] } }),
+    prisma.session.deleteMany({ where: { userId: user.id } }),
+    prisma.otp.deleteMany({ where: { userId: user.id } }),
+    prisma.pushSubscription.deleteMany({ where: { userId: user.id } }),
+    prisma.notification.deleteMany({ where: { userId: user.id } }),
+    prisma.privacy.deleteMany({ where: { userId: user.id } }),
+    prisma.user.update({
+      where: { id: user.id },
+      data: {
+        fullName: 'Deleted user',
+        email: `deleted-${user.id}@users.invalid`, // frees the address for a new account
+        password: '', // matches no bcrypt hash, so nobody can log in
+        profileUrl: null,
+        avatar: { unset: true },
+        department: null,
+        level: null,
+        bio: null,
+        whatsappNum: null,
+        address: null,
+        notificationSettings: { unset: true },
+        pendingEmail: null,
+        deletionScheduledFor: null,
+        deletedAt: new Date(),
+      },
+    }),
+  ]);
+
+  await deleteStoredImage(user.avatar);
+};
+
+// Every account whose grace period has run out
+export const findAccountsDueForDeletion = (limit) => prisma.user.findMany({
+  where: { deletionScheduledFor: { lte: new Date() } },
+  select: { id: true },
+  take: limit,
+});
@@ -0,0 +1,16 @@
+// Why a user may not use the API right now, or null when the account is in good standing.
+export const getAccountRestriction = (user) => {
+  if (user.bannedAt) {
+    return { status: 'banned', message: 'This account has been banned.' };
+  }
+
+  if (user.suspendedUntil && user.suspendedUntil > new Date()) {
+    return {
+      status: 'suspended',
+      until: user.suspendedUntil,
+      message: `This account is suspended until ${user.suspendedUntil.toISOString()}.`,
+    };
+  }
+
+  return null;
+};
@@ -0,0 +1,20 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// IDs of everyone the user has blocked, for excluding their listings from what the user sees.
+export const getBlockedUserIds = async (userId) => {
+  const blocks = await prisma.block.findMany({
+    where: { blockerId: userId },
+    select: { blockedId: true },
+  });
+  return blocks.map((block) => block.blockedId);
+};
+
+export const hasBlocked = async (blockerId, blockedId) => {
+  const block = await prisma.block.findUnique({
+    where: { blockerId_blockedId: { blockerId, blockedId } },
+    select: { id: true },
+  });
+  return Boolean(block);
+};
@@ -0,0 +1,76 @@
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from './httpError.js';
+import { unset } from './filters.js';
+
+const prisma = new PrismaClient();
+
+export const emailDomain = (email) => email.split('@').pop().toLowerCase();
+
+// The domain and each parent above it, most specific first: live.unilag.edu.ng, unilag.edu.ng, edu.ng
+const domainCandidates = (domain) => {
+  const parts = domain.split('.');
+  return parts.slice(0, -1).map((_, i) => parts.slice(i).join('.'));
+};
+
+// The campus an address belongs to, preferring the most specific matching domain.
+export const findCampusForEmail = async (email) => {
+  const candidates = domainCandidates(emailDomain(email));
+  const campuses = await prisma.campus.findMany({ where: { domains: { hasSome: candidates } } });
+
+  const rank = (campus) => Math.min(...campus.domains.map((d) => candidates.indexOf(d)).filter((i) => i >= 0));
+  return campuses.sort((a, b) => rank(a) - rank(b))[0] ?? null;
+};
+
+// Once any campus is set up, only addresses on a campus domain may hold an account. A deployment
+// without campuses stays open to every address.
+export const requireCampusForEmail = async (email) => {
+  const campus = await findCampusForEmail(email);
+  if (!campus && await prisma.campus.count()) {
+    throw new HttpError(400, 'Use your university email address. This one does not belong to any campus we serve.');
+  }
+  return campus;
+};
+
+// Moves a user and their listings together, so the feed keeps showing listings where their seller is.
+export const moveUserToCampus = (userId, campusId) => prisma.$transaction([
+  prisma.user.update({ where: { id: userId }, data: { campusId } }),
+  prisma.product.updateMany({ where: { sellerId: userId }, data: { campusId } }),
+]);
+
+// Attaches accounts without a campus whose email falls under the campus domains, along with their
+// listings. Run when a campus is created or gains domains, so earlier sign-ups are not left out.
+export const attachMatchingUsers = async (campus) => {
+  if (!campus.domains.length) return 0;
+
+  const users = await prisma.user.findMany({
+    where: {
+      ...unset('campusId'),
+      AND: [{
+        OR: campus.domains.flatMap((domain) => [
+          { email: { endsWith: `@${domain}`, mode: 'insensitive' } },
+          { email: { endsWith: `.${domain}`, mode: 'insensitive' } },
+        ]),
+      }],
+    },
+    select: { id: true },
+  });
+  const userIds = users.map((user) => user.id);
+  if (!userIds.length) return 0;
+
+  await prisma.$transaction([
+    prisma.user.updateMany({ where: { id: { in: userIds } }, data: { campusId: campus.id } }),
+    prisma.product.updateMany({ where: { sellerId: { in: userIds } }, data: { campusId: campus.id } }),
+  ]);
+  return userIds.length;
+};
+
+// Resolves the `campus` feed filter: "all", a campus slug, or by default the viewer's own campus.
+// Returns undefined when the feed should not be narrowed.
+export const resolveCampusFilter = async (campus, user) => {
+  if (campus === 'all') return undefined;
+  if (!campus) return user?.campusId ?? undefined;
+
+  const found = await prisma.campus.findUnique({ where: { slug: campus }, select: { id: true } });
+  if (!found) throw new HttpError(404, 'Campus not found.');
+  return found.id;
+};
@@ -0,0 +1,118 @@
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from './httpError.js';
+import { isObjectId } from './pagination.js';
+
+const prisma = new PrismaClient();
+
+export const ATTRIBUTE_TYPES = ['text', 'number', 'boolean', 'select'];
+
+export const MAX_ATTRIBUTE_TEXT_LENGTH = 200;
+
+// The category and its ancestors, root first, or null when the ID matches nothing.
+export const getCategoryChain = async (categoryId) => {
+  if (!isObjectId(categoryId)) return null;
+
+  const chain = [];
+  let id = categoryId;
+  while (id && !chain.some((category) => category.id === id)) {
+    const category = await prisma.category.findUnique({ where: { id } });
+    if (!category) break;
+    chain.unshift(category);
+    id = category.parentId;
+  }
+  return chain.length ? chain : null;
+};
+
+// Attributes a listing in the last category of the chain fills in. A child may redefine a parent's key.
+export const attributeDefinitions = (chain) => {
+  const definitions = new Map();
+  for (const category of chain) {
+    for (const attribute of category.attributes) definitions.set(attribute.key, attribute);
+  }
+  return definitions;
+};
+
+// The canonical text for a value, or undefined when the value does not fit the attribute.
+const normalizeValue = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      return String(value).trim() !== '' && Number.isFinite(number) ? String(number) : undefined;
+    }
+    case 'boolean':
+      return ['true', 'false'].includes(String(value)) ? String(value) : undefined;
+    case 'select':
+      return definition.options.find((option) => option.toLowerCase() === String(value).trim().toLowerCase());
+    default: {
+      const text = String(value).trim();
+      return text && text.length <= MAX_ATTRIBUTE_TEXT_LENGTH ? text : undefined;
+    }
+  }
+};
+
+const describeExpected = (definition) => {
+  switch (definition.type) {
+    case 'number':
+      return 'a number';
+    case 'boolean':
+      return 'true or false';
+    case 'select':
+      return `one of: ${definition.options.join(', ')}`;
+    default:
+      return `text of up to ${MAX_ATTRIBUTE_TEXT_LENGTH} characters`;
+  }
+};
+
+// Checks a listing's attribute values ({ key: value }) against its category and returns them ready
+// to store. Unknown keys, wrong types and missing required attributes are all rejected.
+export const validateProductAttributes = (chain, values = {}) => {
+  const definitions = attributeDefinitions(chain);
+  const problems = [];
+  const attributes = [];
+
+  for (const key of Object.keys(values)) {
+    if (!definitions.has(key)) problems.push(`${key} is not an attribute of ${chain.at(-1).name}`);
+  }
+
+  for (const definition of definitions.values()) {
+    const raw = values[definition.key];
+    if (raw === undefined || raw === null || raw === '') {
+      if (definition.required) problems.push(`${definition.label} is required`);
+      continue;
+    }
+
+    const value = normalizeValue(definition, raw);
+    if (value === undefined) problems.push(`${definition.label} must be ${describeExpected(definition)}`);
+    else attributes.push({ key: definition.key, value });
+  }
+
+  if (problems.length) throw new HttpError(400, `Invalid attributes: ${problems.join('; ')}.`);
+  return attributes;
+};
+
+// Turns an attribute filter ("condition:used,edition:3") into product conditions for the chain's category.
+export const attributeFilterWhere = (chain, filter) => {
+  const definitions = attributeDefinitions(chain);
+
+  return filter.split(',').map((pair) => {
+    const [key, ...rest] = pair.split(':');
+    const definition = definitions.get(key.trim());
+    if (!definition) throw new HttpError(400, `${key.trim()} is not an attribute of ${chain.at(-1).name}.`);
+
+    const value = normalizeValue(definition, rest.join(':'));
+    if (value === undefined) throw new HttpError(400, `${definition.label} must be ${describeExpected(definition)}.`);
+
+    return { attributes: { some: { key: definition.key, value } } };
+  });
+};
+
+// The category and everything below it, so browsing "Books" also shows "Textbooks".
+export const getCategoryWithDescendantIds = async (categoryId) => {
+  const categories = await prisma.category.findMany({ select: { id: true, parentId: true } });
+  const ids = [categoryId];
+  for (let i = 0; i < ids.length; i += 1) {
+    const children = categories.filter((category) => category.parentId === ids[i] && !ids.includes(category.id));
+    ids.push(...children.map((category) => category.id));
+  }
+  return ids;
+};
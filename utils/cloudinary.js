@@ -17,3 +17,20 @@ export const uploadToCloudinary = async (fileBase64, folder = 'general_uploads')
     throw new Error('Failed to upload image');
   }
 };
+
+// Streams an already-processed image buffer; resolves with the public_id needed to delete it later.
+export const uploadBufferToCloudinary = (buffer, folder = 'general_uploads') =>
+  new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream({ folder, resource_type: 'image' }, (err, res) => {
+      if (err) {
+        console.error('Cloudinary Upload Error:', err);
+        return reject(new Error('Failed to upload image'));
+      }
+      resolve({ publicId: res.public_id, url: res.secure_url });
+    });
+    stream.end(buffer);
+  });
+
+export const deleteFromCloudinary = async (publicId) => {
+  await cloudinary.uploader.destroy(publicId, { resource_type: 'image' });
+};
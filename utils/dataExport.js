@@ -0,0 +1,78 @@
+import { PrismaClient } from '@prisma/client';
+import { toPrivateUser, userSummarySelect } from './serializers.js';
+import { withoutHiddenContent } from './messaging.js';
+
+const prisma = new PrismaClient();
+
+const productSummarySelect = { id: true, title: true, price: true };
+
+// Everything the user has put into the app, as one JSON-ready object for GET /api/users/me/export.
+export const exportUserData = async (userId) => {
+  const [user, products, wishlist, messages, reports, orders, reviews] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId }, include: { privacy: true } }),
+    prisma.product.findMany({
+      where: { sellerId: userId },
+      include: { images: { orderBy: { position: 'asc' } } },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.wishlist.findMany({ where: { userId }, include: { product: { select: productSummarySelect } } }),
+    prisma.message.findMany({
+      where: { OR: [{ fromUserId: userId }, { toUserId: userId }] },
+      include: {
+        fromUser: { select: userSummarySelect },
+        toUser: { select: userSummarySelect },
+        product: { select: productSummarySelect },
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.report.findMany({
+      where: { reporterId: userId },
+      select: {
+        id: true,
+        targetType: true,
+        reportedUserId: true,
+        productId: true,
+        messageId: true,
+        category: true,
+        reason: true,
+        status: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.order.findMany({
+      where: { OR: [{ buyerId: userId }, { sellerId: userId }] },
+      orderBy: { createdAt: 'asc' },
+    }),
+    prisma.review.findMany({
+      where: { OR: [{ reviewerId: userId }, { sellerId: userId }] },
+      select: {
+        id: true,
+        reviewerId: true,
+        sellerId: true,
+        productId: true,
+        productTitle: true,
+        rating: true,
+        comment: true,
+        reply: true,
+        createdAt: true,
+      },
+      orderBy: { createdAt: 'asc' },
+    }),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile: toPrivateUser(user),
+    notificationSettings: user.notificationSettings,
+    products: products.map((product) => ({
+      ...product,
+      images: product.images.map(({ image, position, isCover }) => ({ url: image.url, position, isCover })),
+    })),
+    wishlist: wishlist.map((entry) => entry.product),
+    messages: messages.map(withoutHiddenContent),
+    reports,
+    orders,
+    reviews,
+  };
+};
@@ -0,0 +1,49 @@
+import { templates } from './templates.js';
+import { smtpTransport } from './transports/smtpTransport.js';
+import { fileTransport } from './transports/fileTransport.js';
+import { memoryTransport } from './transports/memoryTransport.js';
+
+export { getOutbox, clearOutbox } from './transports/memoryTransport.js';
+
+// Each transport exposes send({ from, to, subject, text, html }) -> { id }.
+const transports = {
+  [smtpTransport.name]: smtpTransport,
+  [fileTransport.name]: fileTransport,
+  [memoryTransport.name]: memoryTransport,
+};
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 500; // doubled after every failed attempt
+
+// MAIL_TRANSPORT picks how email leaves the app. It defaults to SMTP, so codes always reach users;
+// set it to "file" or "memory" on machines that must not send real mail.
+export const getMailTransport = (name = process.env.MAIL_TRANSPORT || smtpTransport.name) => {
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport: ${name}`);
+  return transport;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Renders a template and sends it, retrying failed sends. Throws the last error if every attempt fails.
+export const sendEmail = async (to, templateName, data = {}) => {
+  const template = templates[templateName];
+  if (!template) throw new Error(`Unknown email template: ${templateName}`);
+
+  const message = {
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+    to,
+    ...template(data),
+  };
+  const transport = getMailTransport();
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await transport.send(message);
+    } catch (error) {
+      if (attempt >= MAX_ATTEMPTS) throw error;
+      console.warn(`Email "${templateName}" attempt ${attempt} failed, retrying:`, error.message);
+      await wait(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+};
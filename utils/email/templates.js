@@ -0,0 +1,165 @@
+import { OTP_TTL_MINUTES } from '../otp.js';
+
+const APP_NAME = 'Unimart';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wraps already-escaped body HTML in the shared email layout.
+const layout = (title, bodyHtml) => `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <div style="max-width:520px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+      <h2 style="margin-top:0;color:#0b5fff;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="margin-top:32px;font-size:12px;color:#7b8794;">This email was sent by ${APP_NAME}. If you did not expect it, you can ignore it.</p>
+    </div>
+  </body>
+</html>`;
+
+const paragraph = (text) => `<p>${escapeHtml(text)}</p>`;
+
+const codeBlock = (code) =>
+  `<p style="font-size:28px;letter-spacing:6px;font-weight:bold;text-align:center;">${escapeHtml(code)}</p>`;
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const codeEmail = ({ subject, intro, code, name }) => {
+  const expiry = `The code expires in ${OTP_TTL_MINUTES} minutes. Never share it with anyone.`;
+  return {
+    subject,
+    text: [greeting(name), '', intro, '', code, '', expiry].join('\n'),
+    html: layout(subject, [paragraph(greeting(name)), paragraph(intro), codeBlock(code), paragraph(expiry)].join('\n')),
+  };
+};
+
+const MODERATION_OUTCOMES = {
+  warn: () => 'You have received a warning from our moderators.',
+  suspend: ({ until }) => `Your account has been suspended until ${new Date(until).toUTCString()}.`,
+  ban: () => 'Your account has been banned.',
+  reinstate: () => 'Your account has been reinstated and you can use Unimart again.',
+};
+
+// Each template takes its data and returns { subject, text, html }.
+export const templates = {
+  verifyEmail: ({ code, name }) => codeEmail({
+    subject: `Verify your ${APP_NAME} email`,
+    intro: `Use this code to verify your email address and finish creating your ${APP_NAME} account:`,
+    code,
+    name,
+  }),
+
+  passwordReset: ({ code, name }) => codeEmail({
+    subject: `Reset your ${APP_NAME} password`,
+    intro: 'Use this code to reset your password. If you did not ask for a reset, your password is unchanged.',
+    code,
+    name,
+  }),
+
+  accountDeletionCode: ({ code, name }) => codeEmail({
+    subject: `Confirm deleting your ${APP_NAME} account`,
+    intro: 'Use this code to confirm that you want to delete your account. If you did not ask for this, change your password.',
+    code,
+    name,
+  }),
+
+  accountDeletionScheduled: ({ name, scheduledFor }) => {
+    const subject = `Your ${APP_NAME} account will be deleted`;
+    const lines = [
+      `Your account and personal data will be deleted on ${new Date(scheduledFor).toUTCString()}.`,
+      'Changed your mind? Sign in before then and cancel the deletion from your account settings.',
+    ];
+    return {
+      subject,
+      text: [greeting(name), '', ...lines].join('\n'),
+      html: layout(subject, [greeting(name), ...lines].map(paragraph).join('\n')),
+    };
+  },
+
+  emailChangeCode: ({ code, name }) => codeEmail({
+    subject: `Confirm your new ${APP_NAME} email address`,
+    intro: 'Use this code to confirm this address as the new email for your account.',
+    code,
+    name,
+  }),
+
+  emailChangeRequested: ({ name, newEmail }) => {
+    const subject = `A change of your ${APP_NAME} email was requested`;
+    const lines = [
+      `Someone signed in to your account asked to change its email to ${newEmail}. It changes once that address confirms the code we sent it.`,
+      'If this was not you, change your password straight away.',
+    ];
+    return {
+      subject,
+      text: [greeting(name), '', ...lines].join('\n'),
+      html: layout(subject, [greeting(name), ...lines].map(paragraph).join('\n')),
+    };
+  },
+
+  emailChanged: ({ name, newEmail, changedAt = new Date() }) => {
+    const subject = `Your ${APP_NAME} email was changed`;
+    const lines = [
+      `The email on your account was changed to ${newEmail} on ${new Date(changedAt).toUTCString()}. This address will no longer receive account emails.`,
+      'If this was not you, contact support straight away.',
+    ];
+    return {
+      subject,
+      text: [greeting(name), '', ...lines].join('\n'),
+      html: layout(subject, [greeting(name), ...lines].map(paragraph).join('\n')),
+    };
+  },
+
+  passwordChanged: ({ name, changedAt = new Date() }) => {
+    const subject = `Your ${APP_NAME} password was changed`;
+    const lines = [
+      `Your password was changed on ${new Date(changedAt).toUTCString()} and every device was signed out.`,
+      'If this was not you, reset your password straight away using "Forgot password".',
+    ];
+    return {
+      subject,
+      text: [greeting(name), '', ...lines].join('\n'),
+      html: layout(subject, [greeting(name), ...lines].map(paragraph).join('\n')),
+    };
+  },
+
+  newMessage: ({ name, senderName, preview, productTitle }) => {
+    const subject = `New message from ${senderName}`;
+    const about = productTitle ? ` about "${productTitle}"` : '';
+    const intro = `${senderName} sent you a message${about}:`;
+    return {
+      subject,
+      text: [greeting(name), '', intro, '', preview, '', `Open ${APP_NAME} to reply.`].join('\n'),
+      html: layout(subject, [
+        paragraph(greeting(name)),
+        paragraph(intro),
+        `<blockquote style="border-left:3px solid #cbd2d9;margin:0;padding-left:12px;color:#52606d;">${escapeHtml(preview)}</blockquote>`,
+        paragraph(`Open ${APP_NAME} to reply.`),
+      ].join('\n')),
+    };
+  },
+
+  // Email copy of an in-app notification without a dedicated template
+  notification: ({ name, title, body }) => ({
+    subject: title,
+    text: [greeting(name), '', body, '', `Open ${APP_NAME} to see more.`].join('\n'),
+    html: layout(title, [greeting(name), body, `Open ${APP_NAME} to see more.`].map(paragraph).join('\n')),
+  }),
+
+  moderationOutcome: ({ name, action, reason, until }) => {
+    const subject = `An update about your ${APP_NAME} account`;
+    const lines = [
+      MODERATION_OUTCOMES[action]({ until }),
+      ...(reason ? [`Reason: ${reason}`] : []),
+      'If you think this is a mistake, reply to this email.',
+    ];
+    return {
+      subject,
+      text: [greeting(name), '', ...lines].join('\n'),
+      html: layout(subject, [greeting(name), ...lines].map(paragraph).join('\n')),
+    };
+  },
+};
@@ -0,0 +1,21 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const MAIL_OUTBOX_DIR = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+
+// Local development: every email is written to MAIL_OUTBOX_DIR as JSON (plus the HTML part on
+// its own so it can be opened in a browser) instead of being delivered.
+export const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomUUID().slice(0, 8)}`;
+
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    await fs.writeFile(path.join(MAIL_OUTBOX_DIR, `${id}.json`), JSON.stringify(message, null, 2));
+    if (message.html) await fs.writeFile(path.join(MAIL_OUTBOX_DIR, `${id}.html`), message.html);
+
+    return { id };
+  },
+};
@@ -0,0 +1,18 @@
+const outbox = [];
+
+// Keeps sent emails in this process so tests can inspect them with getOutbox().
+export const memoryTransport = {
+  name: 'memory',
+
+  async send(message) {
+    const id = String(outbox.length + 1);
+    outbox.push({ id, ...message, sentAt: new Date() });
+    return { id };
+  },
+};
+
+export const getOutbox = () => [...outbox];
+
+export const clearOutbox = () => {
+  outbox.length = 0;
+};
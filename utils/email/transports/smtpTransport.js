@@ -0,0 +1,30 @@
+import nodemailer from 'nodemailer';
+
+// SMTP_HOST/SMTP_PORT/SMTP_SECURE for any provider; without SMTP_HOST the older Gmail setup
+// (EMAIL_SERVICE, default "gmail") keeps working. Credentials are EMAIL_USER/EMAIL_PASS either way.
+const createTransporter = () => {
+  const auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS };
+
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth,
+    });
+  }
+
+  return nodemailer.createTransport({ service: process.env.EMAIL_SERVICE || 'gmail', auth });
+};
+
+let transporter = null;
+
+export const smtpTransport = {
+  name: 'smtp',
+
+  async send(message) {
+    transporter ??= createTransporter(); // one pooled connection setup for the whole process
+    const info = await transporter.sendMail(message);
+    return { id: info.messageId };
+  },
+};
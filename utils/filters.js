@@ -0,0 +1,20 @@
+// Prisma `where` fragments shared by controllers and jobs.
+
+// No value for an optional field. Prisma leaves optional fields it was not given out of the MongoDB
+// document, and a `null` filter does not match a missing field, so both cases are checked.
+export const unset = (field) => ({ OR: [{ [field]: null }, { [field]: { isSet: false } }] });
+
+// Products a moderator has not hidden
+export const visibleProductWhere = { isHidden: false };
+
+// Listings the stale-listing job has not expired
+export const activeProductWhere = unset('expiredAt');
+
+// Listings the seller has published rather than kept as a draft
+export const publishedProductWhere = { isDraft: false };
+
+// Listings other users may order or ask about: published and not hidden by a moderator
+export const publicProductWhere = { AND: [visibleProductWhere, publishedProductWhere] };
+
+// What shoppers can browse: public and not expired
+export const listedProductWhere = { AND: [publicProductWhere, activeProductWhere] };
@@ -0,0 +1,8 @@
+// Thrown by helpers shared between controllers and sockets so each caller can map it to its own response.
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
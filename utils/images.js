@@ -0,0 +1,97 @@
+import sharp from 'sharp';
+import { HttpError } from './httpError.js';
+import { getStorage } from './storage/index.js';
+
+export const IMAGE_LIMITS = {
+  maxBytes: 5 * 1024 * 1024,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  formats: ['jpeg', 'png', 'webp'],
+  minDimension: 200,
+  maxDimension: 8000,
+};
+
+const MAIN_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 400;
+
+// Checks the decoded image (not just the declared MIME type) and re-encodes it. Sharp drops
+// all metadata on output unless asked to keep it, so EXIF (including GPS position) is removed;
+// rotate() first applies the EXIF orientation so photos still display the right way up.
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new HttpError(400, 'The uploaded file is not a valid image.');
+  }
+
+  if (!IMAGE_LIMITS.formats.includes(metadata.format)) {
+    throw new HttpError(400, 'Only JPEG, PNG and WebP images are allowed.');
+  }
+
+  const { width, height } = metadata;
+  if (Math.min(width, height) < IMAGE_LIMITS.minDimension || Math.max(width, height) > IMAGE_LIMITS.maxDimension) {
+    throw new HttpError(
+      400,
+      `Images must be between ${IMAGE_LIMITS.minDimension} and ${IMAGE_LIMITS.maxDimension} pixels on each side.`
+    );
+  }
+
+  const main = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAIN_MAX_SIZE, height: MAIN_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer({ resolveWithObject: true });
+
+  return { main: main.data, width: main.info.width, height: main.info.height };
+};
+
+const webpOptions = { contentType: 'image/webp', extension: 'webp' };
+
+// Validates an upload and saves the cleaned full-size image. The result matches the StoredImage
+// type in schema.prisma; until the worker has made a thumbnail (see storeThumbnail) the
+// thumbnail fields point at the full image.
+export const storeImage = async (buffer, folder) => {
+  const processed = await processImage(buffer);
+  const storage = getStorage();
+  const main = await storage.save(processed.main, { ...webpOptions, folder });
+
+  return {
+    provider: storage.name,
+    key: main.key,
+    url: main.url,
+    thumbnailKey: main.key,
+    thumbnailUrl: main.url,
+    width: processed.width,
+    height: processed.height,
+  };
+};
+
+export const hasThumbnail = (image) => image.thumbnailKey !== image.key;
+
+// Run by the worker: renders the square thumbnail of a stored image and saves it next to it.
+// Returns the thumbnail fields to merge into the StoredImage.
+export const storeThumbnail = async (image, folder) => {
+  const storage = getStorage(image.provider);
+  const source = await storage.read(image.key, image.url);
+
+  const thumbnail = await sharp(source)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'cover' })
+    .webp({ quality: 75 })
+    .toBuffer();
+
+  const saved = await storage.save(thumbnail, { ...webpOptions, folder: `${folder}/thumbnails` });
+  return { thumbnailKey: saved.key, thumbnailUrl: saved.url };
+};
+
+// Best effort: a file that cannot be removed is logged rather than failing the request.
+export const deleteStoredImage = async (image) => {
+  if (!image?.key) return;
+
+  const storage = getStorage(image.provider);
+  const keys = hasThumbnail(image) ? [image.key, image.thumbnailKey] : [image.key];
+  const results = await Promise.allSettled(keys.map((key) => storage.remove(key)));
+
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('Image Cleanup Error:', result.reason));
+};
@@ -0,0 +1,126 @@
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from './httpError.js';
+import { isObjectId } from './pagination.js';
+import { emitToUser, isUserOnline } from './socket.js';
+import { hasBlocked } from './blocks.js';
+import { notify } from './notifications.js';
+import { publicProductWhere } from './filters.js';
+
+const prisma = new PrismaClient();
+
+// Product snapshot attached to messages when they are read back
+export const messageProductSelect = { id: true, title: true, price: true, imageUrl: true };
+
+// Moderators can hide a reported message; both sides then get it back without its content.
+export const withoutHiddenContent = (message) => (message?.isHidden ? { ...message, content: null } : message);
+
+// Used by both the REST endpoints and the socket handlers, so every send is pushed the same way.
+export const createMessage = async ({ fromUserId, toUserId, content, productId }) => {
+  if (!toUserId || typeof content !== 'string' || !content.trim()) {
+    throw new HttpError(400, 'Recipient ID and message content are required.');
+  }
+  if (!isObjectId(toUserId)) throw new HttpError(400, 'Invalid recipient ID.');
+  if (toUserId === fromUserId) throw new HttpError(400, 'You cannot message yourself.');
+  if (productId && !isObjectId(productId)) throw new HttpError(400, 'Invalid product ID.');
+
+  const [sender, recipient, product] = await Promise.all([
+    prisma.user.findUnique({ where: { id: fromUserId }, select: { campusId: true } }),
+    prisma.user.findUnique({ where: { id: toUserId }, select: { id: true, campusId: true, deletedAt: true } }),
+    // Hidden and draft listings cannot start or carry a conversation
+    productId
+      ? prisma.product.findFirst({ where: { id: productId, ...publicProductWhere }, select: { sellerId: true, title: true } })
+      : null,
+  ]);
+  if (!recipient || recipient.deletedAt) throw new HttpError(404, 'Recipient not found.');
+  if (productId && !product) throw new HttpError(404, 'Product not found.');
+
+  const [blockedBySender, blockedByRecipient] = await Promise.all([
+    hasBlocked(fromUserId, toUserId),
+    hasBlocked(toUserId, fromUserId),
+  ]);
+  if (blockedBySender) throw new HttpError(403, 'You have blocked this user. Unblock them to send a message.');
+  if (blockedByRecipient) throw new HttpError(403, 'You cannot message this user.');
+
+  // An inquiry only makes sense between the seller of the item and someone else
+  if (product && ![fromUserId, toUserId].includes(product.sellerId)) {
+    throw new HttpError(400, 'The product does not belong to either side of this conversation.');
+  }
+
+  // Students message within their campus. Across campuses a conversation has to start from a listing,
+  // after which both sides can carry on without one.
+  if (!product && sender?.campusId && recipient.campusId && sender.campusId !== recipient.campusId) {
+    const earlier = await prisma.message.findFirst({
+      where: { OR: [{ fromUserId, toUserId }, { fromUserId: toUserId, toUserId: fromUserId }] },
+      select: { id: true },
+    });
+    if (!earlier) throw new HttpError(403, 'This user is on another campus. Message them about one of their listings instead.');
+  }
+
+  // Counted before the insert: only the first unread message from this sender is worth notifying about.
+  const unreadFromSender = await prisma.message.count({ where: { fromUserId, toUserId, read: false } });
+
+  const message = await prisma.message.create({
+    data: { fromUserId, toUserId, content, productId },
+    include: { product: { select: messageProductSelect }, fromUser: { select: { fullName: true } } },
+  });
+
+  // The sender's other devices get it too so open chats stay in sync.
+  emitToUser(toUserId, 'message:new', message);
+  emitToUser(fromUserId, 'message:new', message);
+
+  // One notification per run of unread messages; email and push only go out if they are offline.
+  if (!unreadFromSender) {
+    const senderName = message.fromUser.fullName;
+    const preview = content.length > 200 ? `${content.slice(0, 200)}…` : content;
+    const offline = !isUserOnline(toUserId);
+
+    notify(toUserId, {
+      type: 'new_message',
+      title: `New message from ${senderName}`,
+      body: preview,
+      data: { messageId: message.id, fromUserId, ...(productId && { productId }) },
+      push: offline,
+      email: offline && {
+        template: 'newMessage',
+        data: { senderName, preview, productTitle: product?.title },
+      },
+    }).catch((error) => console.error('New Message Notification Error:', error));
+  }
+
+  return message;
+};
+
+export const markMessageRead = async ({ messageId, userId }) => {
+  if (!isObjectId(messageId)) throw new HttpError(400, 'Invalid message ID.');
+
+  const message = await prisma.message.findUnique({ where: { id: messageId } });
+
+  if (!message) throw new HttpError(404, 'Message not found');
+  if (message.toUserId !== userId) throw new HttpError(403, 'Not authorized to mark this message');
+
+  const updated = await prisma.message.update({
+    where: { id: messageId },
+    data: { read: true },
+  });
+
+  emitToUser(message.fromUserId, 'message:read', { messageIds: [messageId], readBy: userId });
+
+  return updated;
+};
+
+export const markConversationRead = async ({ userId, counterpartId }) => {
+  if (!isObjectId(counterpartId)) throw new HttpError(400, 'Invalid user ID.');
+
+  const where = { fromUserId: counterpartId, toUserId: userId, read: false };
+  const unread = await prisma.message.findMany({ where, select: { id: true } });
+  if (!unread.length) return 0;
+
+  const { count } = await prisma.message.updateMany({
+    where: { ...where, id: { in: unread.map((message) => message.id) } },
+    data: { read: true },
+  });
+
+  emitToUser(counterpartId, 'message:read', { messageIds: unread.map((message) => message.id), readBy: userId });
+
+  return count;
+};
@@ -0,0 +1,73 @@
+import { PrismaClient } from '@prisma/client';
+import { emitToUser } from './socket.js';
+import { enqueue, sendEmailInBackground } from './queue/index.js';
+import { getPushSender } from './push/index.js';
+
+const prisma = new PrismaClient();
+
+export const NOTIFICATION_TYPES = ['new_message', 'product_wishlisted', 'price_drop', 'sold_out', 'report_update', 'order_update'];
+
+// Emailed unless the user changes their settings
+export const DEFAULT_EMAIL_TYPES = ['new_message', 'report_update', 'order_update'];
+
+export const getEmailTypes = (user) => user.notificationSettings?.emailTypes ?? DEFAULT_EMAIL_TYPES;
+
+// Also pushed to the user's devices through Web Push
+export const PUSH_TYPES = ['new_message', 'price_drop', 'sold_out', 'order_update'];
+
+const recipientSelect = { id: true, email: true, fullName: true, notificationSettings: true };
+
+// Adds a notification to each user's center, pushes it to their open sockets (a no-op inside
+// the worker) and queues an email for those who want this type by email. `email` overrides the
+// template used ({ template, data }), or is false to skip email this time. `push` set to false
+// skips the Web Push that PUSH_TYPES otherwise get. Jobs that may be retried pass a `dedupeKey`
+// unique to the job, so recipients reached before a failure are not notified twice.
+export const notifyUsers = async (userIds, { type, title, body, data, email, push = true, dedupeKey }) => {
+  if (!userIds.length) return;
+
+  const alreadyNotified = dedupeKey
+    ? await prisma.notification.findMany({ where: { dedupeKey, userId: { in: userIds } }, select: { userId: true } })
+    : [];
+  const skipped = new Set(alreadyNotified.map((notification) => notification.userId));
+
+  const recipients = await prisma.user.findMany({
+    where: { id: { in: userIds.filter((userId) => !skipped.has(userId)) } },
+    select: recipientSelect,
+  });
+
+  for (const recipient of recipients) {
+    const notification = await prisma.notification.create({
+      // readAt stored explicitly so `readAt: null` filters match on MongoDB
+      data: { userId: recipient.id, type, title, body, data, readAt: null, dedupeKey: dedupeKey ?? null },
+    });
+    emitToUser(recipient.id, 'notification:new', notification);
+
+    if (email !== false && getEmailTypes(recipient).includes(type)) {
+      const { template = 'notification', data: templateData = { title, body } } = email ?? {};
+      sendEmailInBackground(recipient.email, template, { name: recipient.fullName, ...templateData });
+    }
+
+    if (push && PUSH_TYPES.includes(type) && getPushSender()) {
+      enqueue('push.send', {
+        userId: recipient.id,
+        payload: { notificationId: notification.id, type, title, body, data },
+      }, { maxAttempts: 3 }).catch((error) => console.error('Queue Push Error:', error));
+    }
+  }
+};
+
+export const notify = (userId, notification) => notifyUsers([userId], notification);
+
+const REPORT_STATUS_TEXT = {
+  open: 'has been reopened',
+  reviewing: 'is being reviewed by a moderator',
+  resolved: 'was reviewed and action has been taken',
+  dismissed: 'was reviewed and no action was needed',
+};
+
+export const notifyReportUpdate = (report) => notify(report.reporterId, {
+  type: 'report_update',
+  title: 'Update on your report',
+  body: `Your ${report.targetType} report ${REPORT_STATUS_TEXT[report.status]}. Thank you for helping keep Unimart safe.`,
+  data: { reportId: report.id, status: report.status },
+});
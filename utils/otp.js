@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from './httpError.js';
+
+const prisma = new PrismaClient();
+
+export const OTP_TTL_MINUTES = 10;
+export const OTP_MAX_ATTEMPTS = 5;
+export const OTP_RESEND_COOLDOWN_SECONDS = 60;
+
+// Purpose names accepted from clients, mapped to the OtpPurpose enum
+export const OTP_PURPOSES = {
+  register: 'verify_email',
+  verify: 'verify_email',
+  'forgot-password': 'reset_password',
+  'reset-password': 'reset_password',
+};
+
+// Keyed on the user and purpose too, so a code hash is useless anywhere else.
+const hashCode = (userId, purpose, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${purpose}:${code}`)
+    .digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 1_000_000).toString().padStart(6, '0');
+
+// Creates a fresh code for the purpose, replacing any earlier one, and returns it for sending.
+export const issueOtp = async (userId, purpose) => {
+  const existing = await prisma.otp.findUnique({ where: { userId_purpose: { userId, purpose } } });
+
+  if (existing && !existing.consumedAt) {
+    const waitMs = existing.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000 - Date.now();
+    if (waitMs > 0) {
+      throw new HttpError(429, `Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another code.`);
+    }
+  }
+
+  const code = generateCode();
+  const now = new Date();
+  const data = {
+    codeHash: hashCode(userId, purpose, code),
+    attempts: 0,
+    expiresAt: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000),
+    lastSentAt: now,
+    consumedAt: null, // stored explicitly so `consumedAt: null` filters match on MongoDB
+  };
+
+  await prisma.otp.upsert({
+    where: { userId_purpose: { userId, purpose } },
+    create: { userId, purpose, ...data },
+    update: data,
+  });
+
+  return code;
+};
+
+// Checks a code and, unless `consume` is false, uses it up. Every wrong guess counts towards
+// OTP_MAX_ATTEMPTS, after which the code is dead and a new one has to be requested.
+export const verifyOtp = async (userId, purpose, code, { consume = true } = {}) => {
+  const otp = await prisma.otp.findUnique({ where: { userId_purpose: { userId, purpose } } });
+
+  if (!otp || otp.consumedAt || otp.expiresAt < new Date()) {
+    throw new HttpError(400, 'Invalid or expired OTP');
+  }
+  if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+    throw new HttpError(429, 'Too many incorrect attempts. Please request a new OTP.');
+  }
+
+  const presented = Buffer.from(hashCode(userId, purpose, String(code)));
+  const stored = Buffer.from(otp.codeHash);
+
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    // Counting with a condition on the stored value stops parallel guesses from skipping the limit.
+    const { count } = await prisma.otp.updateMany({
+      where: { id: otp.id, attempts: { lt: OTP_MAX_ATTEMPTS } },
+      data: { attempts: { increment: 1 } },
+    });
+    const remaining = OTP_MAX_ATTEMPTS - otp.attempts - 1;
+    if (!count || remaining <= 0) {
+      throw new HttpError(429, 'Too many incorrect attempts. Please request a new OTP.');
+    }
+    throw new HttpError(400, 'Invalid or expired OTP');
+  }
+
+  if (consume) {
+    const { count } = await prisma.otp.updateMany({
+      where: { id: otp.id, codeHash: otp.codeHash, consumedAt: null },
+      data: { consumedAt: new Date() },
+    });
+    if (!count) throw new HttpError(400, 'Invalid or expired OTP');
+  }
+};
@@ -0,0 +1,22 @@
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+export const isObjectId = (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value);
+
+// The page size for a `limit` the route schema has already checked, capped at MAX_PAGE_SIZE.
+export const pageLimit = (limit = DEFAULT_PAGE_SIZE) => Math.min(limit, MAX_PAGE_SIZE);
+
+// Prisma args for a cursor page. One extra row is fetched to know whether another page exists.
+export const cursorArgs = (cursor, limit) => ({
+  take: limit + 1,
+  ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+});
+
+export const paginate = (rows, limit) => {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+
+  return { items, nextCursor: hasMore ? items[items.length - 1].id : null };
+};
@@ -0,0 +1,86 @@
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from './httpError.js';
+import { storeImage, deleteStoredImage } from './images.js';
+import { enqueue } from './queue/index.js';
+
+const prisma = new PrismaClient();
+
+export const MAX_PRODUCT_IMAGES = 8;
+
+export const galleryInclude = { images: { orderBy: { position: 'asc' } } };
+
+// Keeps exactly one cover (the first image when none is chosen) and mirrors it onto the product,
+// so listings can show the cover thumbnail without loading the gallery.
+export const syncCover = async (productId) => {
+  const images = await prisma.productImage.findMany({
+    where: { productId },
+    orderBy: { position: 'asc' },
+  });
+
+  const cover = images.find((image) => image.isCover) || images[0];
+
+  if (cover) {
+    await prisma.productImage.updateMany({
+      where: { productId, isCover: true, id: { not: cover.id } },
+      data: { isCover: false },
+    });
+    if (!cover.isCover) await prisma.productImage.update({ where: { id: cover.id }, data: { isCover: true } });
+  }
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: { imageUrl: cover?.image.url ?? null, thumbnailUrl: cover?.image.thumbnailUrl ?? null },
+  });
+};
+
+// Processes and stores uploaded files one at a time (to bound memory use), then appends them
+// to the gallery. Anything already stored is removed again if a later file is rejected.
+export const addProductImages = async (productId, files) => {
+  const tooMany = () => new HttpError(400, `A product can have at most ${MAX_PRODUCT_IMAGES} images.`);
+
+  const existing = await prisma.productImage.count({ where: { productId } });
+  if (existing + files.length > MAX_PRODUCT_IMAGES) throw tooMany();
+
+  const last = await prisma.productImage.findFirst({
+    where: { productId },
+    orderBy: { position: 'desc' },
+    select: { position: true },
+  });
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      stored.push(await storeImage(file.buffer, 'products'));
+    }
+
+    await prisma.productImage.createMany({
+      data: stored.map((image, index) => ({
+        productId,
+        image,
+        position: (last?.position ?? -1) + 1 + index,
+      })),
+    });
+  } catch (error) {
+    await Promise.all(stored.map(deleteStoredImage));
+    throw error;
+  }
+
+  const created = await prisma.productImage.findMany({
+    where: { productId, image: { is: { key: { in: stored.map((image) => image.key) } } } },
+    select: { id: true, image: true },
+  });
+
+  // Two uploads at once can both pass the count above, so count again now that this one is saved
+  // and take it back out if together they went over the limit.
+  if (await prisma.productImage.count({ where: { productId } }) > MAX_PRODUCT_IMAGES) {
+    await prisma.productImage.deleteMany({ where: { id: { in: created.map((image) => image.id) } } });
+    await Promise.all(stored.map(deleteStoredImage));
+    throw tooMany();
+  }
+
+  await syncCover(productId);
+  await Promise.all(created.map(({ id, image }) =>
+    enqueue('images.createThumbnail', { target: 'productImage', id, folder: 'products', image })));
+};
+
+export const deleteProductImageFiles = (images) => Promise.all(images.map((image) => deleteStoredImage(image.image)));
@@ -0,0 +1,68 @@
+import { PrismaClient } from '@prisma/client';
+import { webPushSender } from './senders/webPushSender.js';
+import { memoryPushSender } from './senders/memoryPushSender.js';
+
+export { getSentPushes, markEndpointGone, clearSentPushes } from './senders/memoryPushSender.js';
+
+const prisma = new PrismaClient();
+
+// Each sender exposes send(subscription, payload, { ttlSeconds }) and rejects with a statusCode
+// when the push service refuses the message.
+const senders = {
+  [webPushSender.name]: webPushSender,
+  [memoryPushSender.name]: memoryPushSender,
+};
+
+// How long the push service holds a message for a device that is offline
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// The push service answers these when the browser has unsubscribed or the subscription expired.
+const GONE_STATUS_CODES = [404, 410];
+
+// PUSH_SENDER picks how pushes leave the app. It defaults to Web Push once VAPID keys are set;
+// without either, push is off and this returns null. "memory" is only used when asked for.
+export const getPushSender = (
+  name = process.env.PUSH_SENDER || (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY ? webPushSender.name : null),
+) => {
+  if (!name) return null;
+  const sender = senders[name];
+  if (!sender) throw new Error(`Unknown push sender: ${name}`);
+  return sender;
+};
+
+export const getVapidPublicKey = () => process.env.VAPID_PUBLIC_KEY || null;
+
+// Sends one payload to every device the user subscribed, deleting subscriptions the push service
+// reports as gone. Throws only when nothing was delivered and some devices may succeed on a retry.
+export const sendPushToUser = async (userId, payload) => {
+  const sender = getPushSender();
+  const result = { sent: 0, pruned: 0, failed: 0 };
+  if (!sender) return result;
+
+  const subscriptions = await prisma.pushSubscription.findMany({ where: { userId } });
+  const body = JSON.stringify(payload);
+  let lastError = null;
+
+  for (const subscription of subscriptions) {
+    try {
+      await sender.send(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        body,
+        { ttlSeconds: PUSH_TTL_SECONDS },
+      );
+      result.sent += 1;
+    } catch (error) {
+      if (GONE_STATUS_CODES.includes(error.statusCode)) {
+        await prisma.pushSubscription.deleteMany({ where: { id: subscription.id } });
+        result.pruned += 1;
+      } else {
+        result.failed += 1;
+        lastError = error;
+      }
+    }
+  }
+
+  if (result.failed && !result.sent) throw lastError;
+  if (result.failed) console.warn(`Push to ${result.failed} of ${subscriptions.length} devices failed:`, lastError.message);
+  return result;
+};
@@ -0,0 +1,30 @@
+const sent = [];
+const goneEndpoints = new Set();
+
+// Only the latest pushes are kept, so a process left running on this sender does not grow forever.
+const MAX_KEPT = 100;
+
+// Keeps pushes in this process so tests can inspect them with getSentPushes(). Endpoints passed to
+// markEndpointGone() answer 410 like an unsubscribed browser would.
+export const memoryPushSender = {
+  name: 'memory',
+
+  async send(subscription, payload) {
+    if (goneEndpoints.has(subscription.endpoint)) {
+      throw Object.assign(new Error('Push subscription has unsubscribed or expired.'), { statusCode: 410 });
+    }
+    sent.push({ endpoint: subscription.endpoint, payload: JSON.parse(payload), sentAt: new Date() });
+    if (sent.length > MAX_KEPT) sent.shift();
+  },
+};
+
+export const getSentPushes = () => [...sent];
+
+export const markEndpointGone = (endpoint) => {
+  goneEndpoints.add(endpoint);
+};
+
+export const clearSentPushes = () => {
+  sent.length = 0;
+  goneEndpoints.clear();
+};
@@ -0,0 +1,26 @@
+import webpush from 'web-push';
+
+let configured = false;
+
+// VAPID keys come from `npx web-push generate-vapid-keys`; the subject is a mailto: or https: contact.
+const configure = () => {
+  if (configured) return;
+
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    throw new Error('VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set to send push notifications.');
+  }
+
+  webpush.setVapidDetails(VAPID_SUBJECT || `mailto:${process.env.EMAIL_FROM || process.env.EMAIL_USER}`, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  configured = true;
+};
+
+// Delivers through the browser vendor's push service. Rejections carry the service's statusCode.
+export const webPushSender = {
+  name: 'webpush',
+
+  async send(subscription, payload, { ttlSeconds }) {
+    configure();
+    await webpush.sendNotification(subscription, payload, { TTL: ttlSeconds });
+  },
+};
@@ -0,0 +1,219 @@
+import { PrismaClient } from '@prisma/client';
+import { sendEmail } from '../email/index.js';
+import { storeThumbnail } from '../images.js';
+import { getStorage } from '../storage/index.js';
+import { syncCover } from '../productImages.js';
+import { mongoStore } from '../rateLimit/mongoStore.js';
+import { notifyUsers } from '../notifications.js';
+import { sendPushToUser } from '../push/index.js';
+import { purgeAccount, findAccountsDueForDeletion } from '../accountDeletion.js';
+import { unset } from '../filters.js';
+
+const prisma = new PrismaClient();
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+// Saves the thumbnail onto the record only if it still holds the same image; otherwise the
+// image was replaced or deleted meanwhile and the new thumbnail is thrown away.
+const createThumbnail = async ({ target, id, folder, image }) => {
+  const thumbnail = await storeThumbnail(image, folder);
+  const updated = { ...image, ...thumbnail };
+  const discard = () => getStorage(image.provider).remove(thumbnail.thumbnailKey);
+
+  if (target === 'productImage') {
+    const { count } = await prisma.productImage.updateMany({
+      where: { id, image: { is: { key: image.key } } },
+      data: { image: { set: updated } },
+    });
+    if (!count) return discard();
+
+    const productImage = await prisma.productImage.findUnique({ where: { id }, select: { productId: true, isCover: true } });
+    if (productImage?.isCover) await syncCover(productImage.productId);
+    return;
+  }
+
+  if (target === 'avatar') {
+    const { count } = await prisma.user.updateMany({
+      where: { id, avatar: { is: { key: image.key } } },
+      data: { avatar: { set: updated } },
+    });
+    if (!count) await discard();
+    return;
+  }
+
+  throw new Error(`Unknown thumbnail target: ${target}`);
+};
+
+const expireStaleListings = async ({ maxAgeDays }) => {
+  const { count } = await prisma.product.updateMany({
+    where: { updatedAt: { lt: daysAgo(maxAgeDays) }, ...unset('expiredAt') },
+    data: { expiredAt: new Date() },
+  });
+  if (count) console.log(`Expired ${count} listings not updated in ${maxAgeDays} days`);
+};
+
+// Only the buyer can complete a handed-over order, so one who never confirms would keep it open
+// for good and the listing could never be deleted. After maxAgeDays it completes on its own.
+const autoCompleteHandedOverOrders = async ({ maxAgeDays }) => {
+  const orders = await prisma.order.findMany({
+    where: { status: 'handed_over', handedOverAt: { lt: daysAgo(maxAgeDays) } },
+    take: 500,
+  });
+
+  for (const order of orders) {
+    const { count } = await prisma.order.updateMany({
+      where: { id: order.id, status: 'handed_over' },
+      data: { status: 'completed', completedAt: new Date() },
+    });
+    if (!count) continue;
+
+    await notifyUsers([order.buyerId, order.sellerId], {
+      type: 'order_update',
+      title: 'Order completed',
+      body: `The order for "${order.productTitle}" was completed automatically ${maxAgeDays} days after hand-over.`,
+      data: { orderId: order.id, status: 'completed' },
+    });
+  }
+  if (orders.length) console.log(`Auto-completed ${orders.length} orders handed over more than ${maxAgeDays} days ago`);
+};
+
+// Relations that stop a user row from being deleted. An unverified account cannot log in, but others
+// can still message or report it and moderators can act on it.
+const USER_REFERENCES = [
+  'products', 'reported', 'reportedBy', 'wishlist', 'orders', 'sales', 'reviewsWritten', 'reviewsReceived',
+  'sentMessages', 'receivedMessages', 'blocking', 'blockedBy', 'reviewedReports', 'moderationHistory',
+  'moderationActions', 'removedReviews',
+];
+
+// Accounts that never verified their email and that nothing else points at. The rest are kept, like
+// purged accounts, so the messages, reports and moderation records that name them still resolve.
+const cleanupUnverifiedAccounts = async ({ maxAgeDays }) => {
+  const removable = {
+    isVerified: false,
+    createdAt: { lt: daysAgo(maxAgeDays) },
+    ...unset('deletedAt'),
+    ...Object.fromEntries(USER_REFERENCES.map((relation) => [relation, { none: {} }])),
+  };
+  const stale = await prisma.user.findMany({ where: removable, select: { id: true }, take: 500 });
+  if (!stale.length) return;
+
+  const ids = stale.map((user) => user.id);
+  const [, , , { count }] = await prisma.$transaction([
+    prisma.otp.deleteMany({ where: { userId: { in: ids } } }),
+    prisma.session.deleteMany({ where: { userId: { in: ids } } }),
+    // Checked again, in case someone messaged or reported the account since it was found
+    prisma.privacy.deleteMany({ where: { userId: { in: ids }, user: { is: removable } } }),
+    prisma.user.deleteMany({ where: { id: { in: ids }, ...removable } }),
+  ]);
+  if (count) console.log(`Removed ${count} unverified accounts older than ${maxAgeDays} days`);
+};
+
+// Accounts whose deletion grace period is over. Each one is purged on its own so a failure
+// leaves the rest to finish; the next run picks the failed one up again.
+const purgeDeletedAccounts = async () => {
+  const due = await findAccountsDueForDeletion(100);
+
+  for (const { id } of due) {
+    try {
+      await purgeAccount(id);
+      console.log(`Purged deleted account ${id}`);
+    } catch (error) {
+      console.error(`Purging account ${id} failed:`, error);
+    }
+  }
+};
+
+// Drops rows nothing reads any more: finished jobs, spent sessions and codes, old rate-limit
+// windows and push subscriptions the browser said would expire.
+const pruneExpiredRecords = async ({ keepDays }) => {
+  const cutoff = daysAgo(keepDays);
+
+  await Promise.all([
+    prisma.job.deleteMany({ where: { status: 'completed', completedAt: { lt: cutoff } } }),
+    prisma.session.deleteMany({ where: { OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }] } }),
+    prisma.otp.deleteMany({ where: { expiresAt: { lt: cutoff } } }),
+    prisma.pushSubscription.deleteMany({ where: { expirationTime: { lt: new Date() } } }),
+    mongoStore.prune(),
+  ]);
+};
+
+const WISHLIST_UPDATES = {
+  price_drop: (product, { oldPrice, newPrice }) => ({
+    title: 'Price drop on a saved item',
+    body: `"${product.title}" dropped from ${oldPrice} to ${newPrice}.`,
+  }),
+  sold_out: (product) => ({
+    title: 'A saved item sold out',
+    body: `"${product.title}" is no longer available.`,
+  }),
+};
+
+// Tells everyone who wishlisted a product about a change, except people who blocked the seller.
+const notifyWishlisters = async ({ productId, type, ...details }, job) => {
+  const product = await prisma.product.findUnique({
+    where: { id: productId },
+    select: { id: true, title: true, sellerId: true, isHidden: true, isDraft: true },
+  });
+  if (!product || product.isHidden || product.isDraft) return;
+
+  const wishlists = await prisma.wishlist.findMany({ where: { productId }, select: { userId: true } });
+  const blockers = await prisma.block.findMany({
+    where: { blockedId: product.sellerId, blockerId: { in: wishlists.map((entry) => entry.userId) } },
+    select: { blockerId: true },
+  });
+  const excluded = new Set([product.sellerId, ...blockers.map((block) => block.blockerId)]);
+
+  await notifyUsers(
+    [...new Set(wishlists.map((entry) => entry.userId))].filter((userId) => !excluded.has(userId)),
+    { type, ...WISHLIST_UPDATES[type](product, details), data: { productId }, dedupeKey: `wishlist:${job.id}` },
+  );
+};
+
+// Job type -> handler(payload, job). A handler that throws is retried with backoff.
+export const jobHandlers = {
+  'email.send': ({ to, template, data }) => sendEmail(to, template, data),
+  'images.createThumbnail': createThumbnail,
+  'notifications.wishlistUpdate': notifyWishlisters,
+  'push.send': ({ userId, payload }) => sendPushToUser(userId, payload),
+  'products.expireStale': expireStaleListings,
+  'orders.autoComplete': autoCompleteHandedOverOrders,
+  'users.cleanupUnverified': cleanupUnverifiedAccounts,
+  'users.purgeDeleted': purgeDeletedAccounts,
+  'maintenance.prune': pruneExpiredRecords,
+};
+
+export const jobSchedules = [
+  {
+    name: 'expire-stale-listings',
+    intervalMs: 6 * HOUR,
+    type: 'products.expireStale',
+    payload: { maxAgeDays: Number(process.env.LISTING_MAX_AGE_DAYS) || 90 },
+  },
+  {
+    name: 'auto-complete-orders',
+    intervalMs: 6 * HOUR,
+    type: 'orders.autoComplete',
+    payload: { maxAgeDays: Number(process.env.ORDER_AUTO_COMPLETE_DAYS) || 7 },
+  },
+  {
+    name: 'cleanup-unverified-accounts',
+    intervalMs: DAY,
+    type: 'users.cleanupUnverified',
+    payload: { maxAgeDays: 7 },
+  },
+  {
+    name: 'purge-deleted-accounts',
+    intervalMs: HOUR,
+    type: 'users.purgeDeleted',
+    payload: {},
+  },
+  {
+    name: 'prune-expired-records',
+    intervalMs: DAY,
+    type: 'maintenance.prune',
+    payload: { keepDays: 7 },
+  },
+];
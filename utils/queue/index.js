@@ -0,0 +1,170 @@
+import os from 'os';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BACKOFF_BASE_MS = 30 * 1000; // doubled after every failure
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000; // a running job older than this is assumed to have lost its worker
+const POLL_INTERVAL_MS = 2000;
+
+const REDACTED_PAYLOAD = { redacted: true };
+
+// Adds a job for worker.js. `runAt` or `delayMs` postpone it; `sensitive` wipes the payload
+// (e.g. a one-time code) once the job has finished either way.
+export const enqueue = (type, payload = {}, { runAt, delayMs, maxAttempts = DEFAULT_MAX_ATTEMPTS, sensitive = false } = {}) =>
+  prisma.job.create({
+    data: {
+      type,
+      payload,
+      sensitive,
+      maxAttempts,
+      runAt: runAt ?? new Date(Date.now() + (delayMs ?? 0)),
+      lockedAt: null, // stored explicitly so `lockedAt: null` filters match on MongoDB
+    },
+  });
+
+export const queueEmail = (to, template, data = {}, options = {}) =>
+  enqueue('email.send', { to, template, data }, options);
+
+// For alerts and notifications that must not fail the request that triggered them.
+export const sendEmailInBackground = (to, template, data) => {
+  queueEmail(to, template, data).catch((error) => {
+    console.error(`Could not queue email "${template}" to ${to}:`, error);
+  });
+};
+
+const backoffMs = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return delay / 2 + Math.random() * (delay / 2); // jitter so failed jobs do not retry in lockstep
+};
+
+// Takes the oldest due job. The status condition on the update means two workers polling at the
+// same moment cannot both take it.
+const claimNextJob = async (workerId) => {
+  const now = new Date();
+
+  for (;;) {
+    const candidate = await prisma.job.findFirst({
+      where: { status: 'queued', runAt: { lte: now } },
+      orderBy: { runAt: 'asc' },
+    });
+    if (!candidate) return null;
+
+    const { count } = await prisma.job.updateMany({
+      where: { id: candidate.id, status: 'queued' },
+      data: { status: 'running', lockedAt: now, lockedBy: workerId, attempts: { increment: 1 } },
+    });
+    if (count) return { ...candidate, attempts: candidate.attempts + 1 };
+  }
+};
+
+const finishJob = (job, data) =>
+  prisma.job.update({
+    where: { id: job.id },
+    data: {
+      lockedAt: null,
+      lockedBy: null,
+      ...(job.sensitive && (data.status === 'completed' || data.status === 'dead') && { payload: REDACTED_PAYLOAD }),
+      ...data,
+    },
+  });
+
+const runJob = async (job, handlers) => {
+  const handler = handlers[job.type];
+
+  try {
+    if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+    await handler(job.payload, job);
+    await finishJob(job, { status: 'completed', completedAt: new Date(), lastError: null });
+  } catch (error) {
+    const dead = !handler || job.attempts >= job.maxAttempts;
+    console.error(`Job ${job.type} (${job.id}) failed on attempt ${job.attempts}${dead ? ', giving up' : ''}:`, error);
+
+    await finishJob(job, {
+      status: dead ? 'dead' : 'queued',
+      lastError: String(error?.stack || error).slice(0, 2000),
+      ...(!dead && { runAt: new Date(Date.now() + backoffMs(job.attempts)) }),
+    });
+  }
+};
+
+// Jobs whose worker crashed mid-run go back to the queue; the attempt still counts.
+const requeueStaleJobs = () =>
+  prisma.job.updateMany({
+    where: { status: 'running', lockedAt: { lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    data: { status: 'queued', lockedAt: null, lockedBy: null },
+  });
+
+const registerSchedules = (schedules) =>
+  Promise.all(schedules.map(({ name }) =>
+    prisma.scheduledTask.upsert({ where: { name }, create: { name, nextRunAt: new Date() }, update: {} })));
+
+// Moving nextRunAt forward is the claim, so each run is enqueued by exactly one worker.
+const enqueueDueSchedules = async (schedules) => {
+  const now = new Date();
+
+  for (const schedule of schedules) {
+    const { count } = await prisma.scheduledTask.updateMany({
+      where: { name: schedule.name, nextRunAt: { lte: now } },
+      data: { nextRunAt: new Date(now.getTime() + schedule.intervalMs), lastRunAt: now },
+    });
+    if (count) await enqueue(schedule.type, schedule.payload);
+  }
+};
+
+// Runs jobs one at a time until stop() is called; stop() resolves once the current job is done.
+// `schedules` are { name, intervalMs, type, payload } entries enqueued every intervalMs.
+export const startWorker = ({ handlers, schedules = [], pollIntervalMs = POLL_INTERVAL_MS }) => {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  let stopped = false;
+  let wakeUp = () => {};
+  let lastHousekeeping = 0;
+  let schedulesRegistered = false;
+
+  const sleep = (ms) => new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+  const loop = async () => {
+    while (!stopped) {
+      try {
+        if (Date.now() - lastHousekeeping >= pollIntervalMs) {
+          lastHousekeeping = Date.now();
+          if (!schedulesRegistered) {
+            await registerSchedules(schedules);
+            schedulesRegistered = true;
+          }
+          await requeueStaleJobs();
+          await enqueueDueSchedules(schedules);
+        }
+
+        const job = await claimNextJob(workerId);
+        if (job) {
+          await runJob(job, handlers);
+          continue;
+        }
+      } catch (error) {
+        console.error('Worker Error:', error);
+      }
+
+      if (!stopped) await sleep(pollIntervalMs);
+    }
+  };
+
+  const finished = loop();
+
+  return {
+    workerId,
+    stop: async () => {
+      stopped = true;
+      wakeUp();
+      await finished;
+    },
+  };
+};
@@ -0,0 +1,16 @@
+import { memoryStore } from './memoryStore.js';
+import { mongoStore } from './mongoStore.js';
+
+// Each store exposes increment(key, windowMs) -> { count, resetAt }, get(key), reset(key) and prune().
+const stores = {
+  [memoryStore.name]: memoryStore,
+  [mongoStore.name]: mongoStore,
+};
+
+// RATE_LIMIT_STORE picks where counters live. It defaults to MongoDB so limits and lockouts hold
+// across instances and restarts; "memory" is for tests and single-process development.
+export const getRateLimitStore = (name = process.env.RATE_LIMIT_STORE || mongoStore.name) => {
+  const store = stores[name];
+  if (!store) throw new Error(`Unknown rate limit store: ${name}`);
+  return store;
+};
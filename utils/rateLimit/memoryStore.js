@@ -0,0 +1,44 @@
+// Counters kept in this process. Fine for tests and a single instance; they reset on restart.
+const counters = new Map();
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+let pruneTimer = null;
+
+const current = (key) => {
+  const entry = counters.get(key);
+  if (entry && entry.resetAt <= new Date()) {
+    counters.delete(key);
+    return null;
+  }
+  return entry || null;
+};
+
+export const memoryStore = {
+  name: 'memory',
+
+  async increment(key, windowMs) {
+    // Keys for clients that never come back would otherwise stay in the map for good.
+    if (!pruneTimer) {
+      pruneTimer = setInterval(() => memoryStore.prune(), PRUNE_INTERVAL_MS);
+      pruneTimer.unref();
+    }
+
+    const entry = current(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+    entry.count += 1;
+    counters.set(key, entry);
+    return { ...entry };
+  },
+
+  async get(key) {
+    const entry = current(key);
+    return entry && { ...entry };
+  },
+
+  async reset(key) {
+    counters.delete(key);
+  },
+
+  async prune() {
+    for (const key of counters.keys()) current(key);
+  },
+};
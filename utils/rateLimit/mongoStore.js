@@ -0,0 +1,43 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Counters in the RateLimit collection, shared by every API instance.
+export const mongoStore = {
+  name: 'mongo',
+
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    // Fast path: bump the counter of a window that is still open.
+    const { count } = await prisma.rateLimit.updateMany({
+      where: { key, resetAt: { gt: now } },
+      data: { count: { increment: 1 } },
+    });
+    if (count) return prisma.rateLimit.findUnique({ where: { key }, select: { count: true, resetAt: true } });
+
+    // No open window: start a new one. Two requests racing here both count as the first hit,
+    // which at worst lets one extra request through.
+    const window = { count: 1, resetAt: new Date(now.getTime() + windowMs) };
+    try {
+      await prisma.rateLimit.upsert({ where: { key }, create: { key, ...window }, update: window });
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      return this.increment(key, windowMs); // another request created the row first
+    }
+    return window;
+  },
+
+  async get(key) {
+    const entry = await prisma.rateLimit.findUnique({ where: { key }, select: { count: true, resetAt: true } });
+    return entry && entry.resetAt > new Date() ? entry : null;
+  },
+
+  async reset(key) {
+    await prisma.rateLimit.deleteMany({ where: { key } });
+  },
+
+  async prune() {
+    await prisma.rateLimit.deleteMany({ where: { resetAt: { lte: new Date() } } });
+  },
+};
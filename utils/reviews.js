@@ -0,0 +1,20 @@
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+// Reviews a moderator has not removed; every review is created with removedAt set to null.
+export const visibleReviews = (sellerId) => ({ sellerId, removedAt: null });
+
+// A seller's average rating, rounded to one decimal, and how many reviews it is based on.
+export const getSellerRating = async (sellerId) => {
+  const { _avg, _count } = await prisma.review.aggregate({
+    where: visibleReviews(sellerId),
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  return {
+    average: _avg.rating === null ? null : Math.round(_avg.rating * 10) / 10,
+    count: _count._all,
+  };
+};
@@ -0,0 +1,54 @@
+// The only shapes a User leaves the API in. Fields are listed rather than stripped, so columns added
+// to User later (hashes, tokens, moderation state) stay private until someone adds them here.
+
+// Privacy flag -> the contact field it reveals on the public profile
+const PRIVACY_FIELDS = {
+  showEmail: 'email',
+  showWhatsapp: 'whatsappNum',
+  showAddress: 'address',
+  showDepartment: 'department',
+  showLevel: 'level',
+};
+
+const PRIVATE_USER_FIELDS = [
+  'id', 'fullName', 'email', 'profileUrl', 'isVerified', 'department', 'level', 'bio',
+  'whatsappNum', 'address', 'role', 'campusId', 'campus', 'pendingEmail', 'deletionScheduledFor', 'createdAt', 'updatedAt',
+];
+
+const PUBLIC_USER_FIELDS = ['id', 'fullName', 'profileUrl', 'bio', 'campus', 'createdAt'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]),
+);
+
+// Just enough to show who someone is next to an order, review or blocked-users entry
+export const userSummarySelect = { id: true, fullName: true, profileUrl: true };
+
+export const campusSummarySelect = { id: true, name: true, slug: true };
+
+// Everything toPublicUser may need, and nothing else, so a query never loads the password hash.
+export const publicUserSelect = {
+  ...Object.fromEntries(PUBLIC_USER_FIELDS.map((field) => [field, true])),
+  campus: { select: campusSummarySelect },
+  ...Object.fromEntries(Object.values(PRIVACY_FIELDS).map((field) => [field, true])),
+  privacy: { select: Object.fromEntries(Object.keys(PRIVACY_FIELDS).map((flag) => [flag, true])) },
+};
+
+const privacyFlags = (privacy) => (privacy ? pick(privacy, Object.keys(PRIVACY_FIELDS)) : null);
+
+// The account owner's own view
+export const toPrivateUser = (user) => ({
+  ...pick(user, PRIVATE_USER_FIELDS),
+  ...(user.privacy !== undefined && { privacy: privacyFlags(user.privacy) }),
+});
+
+// What anyone else sees: contact details only where the owner's privacy flags allow them.
+export const toPublicUser = (user) => ({
+  ...pick(user, PUBLIC_USER_FIELDS),
+  ...Object.fromEntries(Object.entries(PRIVACY_FIELDS)
+    .filter(([flag]) => user.privacy?.[flag])
+    .map(([, field]) => [field, user[field]])),
+  privacy: privacyFlags(user.privacy),
+});
+
+export const toPublicProduct = (product) => (product.seller ? { ...product, seller: toPublicUser(product.seller) } : product);
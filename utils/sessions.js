@@ -0,0 +1,115 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { PrismaClient } from '@prisma/client';
+import { HttpError } from './httpError.js';
+import { isObjectId } from './pagination.js';
+import { getAccountRestriction } from './accountStatus.js';
+import { disconnectSession, disconnectUser } from './socket.js';
+
+const prisma = new PrismaClient();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days, renewed on every refresh
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning hashes.
+const issueTokens = (session, secret) => ({
+  accessToken: signAccessToken(session.userId, session.id),
+  refreshToken: `${session.id}.${secret}`,
+});
+
+export const createSession = async (user, req) => {
+  const secret = newSecret();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashSecret(secret),
+      deviceName: typeof req.body?.deviceName === 'string' ? req.body.deviceName.slice(0, 100) : undefined,
+      userAgent: req.get('user-agent')?.slice(0, 300),
+      ipAddress: req.ip,
+      expiresAt: refreshExpiry(),
+      revokedAt: null, // stored explicitly so `revokedAt: null` filters match on MongoDB
+    },
+  });
+
+  return issueTokens(session, secret);
+};
+
+const isActive = (session) => session && !session.revokedAt && session.expiresAt > new Date();
+
+// Resolves an access token to its user and session, or null when the session is no longer active.
+export const authenticateAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return null; // issued before sessions existed
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    include: { user: true },
+  });
+
+  if (!isActive(session) || session.userId !== decoded.id) return null;
+  return { user: session.user, sessionId: session.id };
+};
+
+export const rotateRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!isObjectId(sessionId) || !secret) throw new HttpError(401, 'Invalid refresh token.');
+
+  const session = await prisma.session.findUnique({ where: { id: sessionId }, include: { user: true } });
+  if (!isActive(session)) throw new HttpError(401, 'Session expired. Please log in again.');
+
+  const presented = Buffer.from(hashSecret(secret));
+  const stored = Buffer.from(session.refreshTokenHash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    // An old token from this session was replayed, so it may have been stolen: end the session.
+    await revokeSession(session.id);
+    throw new HttpError(401, 'Session expired. Please log in again.');
+  }
+
+  const restriction = getAccountRestriction(session.user);
+  if (restriction) throw new HttpError(403, restriction.message);
+
+  const secretNext = newSecret();
+  // Matching on the old hash means two concurrent refreshes cannot both succeed.
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash },
+    data: { refreshTokenHash: hashSecret(secretNext), lastUsedAt: new Date(), expiresAt: refreshExpiry() },
+  });
+  if (!count) throw new HttpError(401, 'Session expired. Please log in again.');
+
+  return issueTokens(session, secretNext);
+};
+
+export const listActiveSessions = (userId) =>
+  prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, deviceName: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+// Returns whether an active session was revoked.
+export const revokeSession = async (sessionId, userId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, ...(userId && { userId }), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  if (count) disconnectSession(sessionId);
+  return count > 0;
+};
+
+export const revokeAllSessions = async (userId) => {
+  await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  disconnectUser(userId);
+};
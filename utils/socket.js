@@ -0,0 +1,113 @@
+import { Server } from 'socket.io';
+import { authenticateAccessToken } from './sessions.js';
+import { HttpError } from './httpError.js';
+import { getAccountRestriction } from './accountStatus.js';
+import { hasBlocked } from './blocks.js';
+import { isObjectId } from './pagination.js';
+import { createMessage, markMessageRead, markConversationRead } from './messaging.js';
+
+/*
+ * Realtime messaging events
+ *   client -> server: message:send { toUserId, content, productId? }, message:read { messageId },
+ *                     conversation:read { userId }, typing { toUserId, isTyping }
+ *   server -> client: message:new <Message>, message:read { messageIds, readBy }, typing { fromUserId, isTyping },
+ *                     notification:new <Notification>
+ */
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Socket acks mirror the REST error shape so clients can share handling.
+const respond = (ack, promise) =>
+  promise
+    .then((data) => typeof ack === 'function' && ack({ ok: true, data }))
+    .catch((err) => {
+      if (!(err instanceof HttpError)) console.error('Socket Handler Error:', err);
+      if (typeof ack === 'function') {
+        ack({ ok: false, status: err.status || 500, message: err instanceof HttpError ? err.message : 'Something went wrong' });
+      }
+    });
+
+// Payloads come straight from the client and may be null, which a default parameter does not cover.
+// A missing or empty payload fails the usual validation and gets an error ack.
+const registerHandlers = (socket) => {
+  const userId = socket.user.id;
+
+  socket.on('message:send', (payload, ack) => {
+    const { toUserId, content, productId } = payload ?? {};
+    respond(ack, createMessage({ fromUserId: userId, toUserId, content, productId }));
+  });
+
+  socket.on('message:read', (payload, ack) => {
+    const { messageId } = payload ?? {};
+    respond(ack, markMessageRead({ messageId, userId }));
+  });
+
+  socket.on('conversation:read', (payload, ack) => {
+    const { userId: counterpartId } = payload ?? {};
+    respond(ack, markConversationRead({ userId, counterpartId }));
+  });
+
+  socket.on('typing', async (payload) => {
+    const { toUserId, isTyping } = payload ?? {};
+    if (!isObjectId(toUserId) || toUserId === userId) return;
+
+    try {
+      if (await hasBlocked(toUserId, userId)) return;
+      emitToUser(toUserId, 'typing', { fromUserId: userId, isTyping: Boolean(isTyping) });
+    } catch (err) {
+      console.error('Typing Indicator Error:', err);
+    }
+  });
+};
+
+export const initSocket = (httpServer) => {
+  io = new Server(httpServer, { cors: { origin: '*' } });
+
+  // Same access token as authMiddleware, sent as `auth.token` or a Bearer Authorization header.
+  io.use(async (socket, next) => {
+    const token = socket.handshake.auth?.token || socket.handshake.headers.authorization?.split(' ')[1];
+    if (!token) return next(new Error('Unauthorized'));
+
+    try {
+      const auth = await authenticateAccessToken(token);
+      if (!auth) return next(new Error('Session expired'));
+
+      const restriction = getAccountRestriction(auth.user);
+      if (restriction) return next(new Error(restriction.message));
+
+      socket.user = auth.user;
+      socket.sessionId = auth.sessionId;
+      next();
+    } catch (err) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  io.on('connection', (socket) => {
+    socket.join([userRoom(socket.user.id), sessionRoom(socket.sessionId)]);
+    registerHandlers(socket);
+  });
+
+  return io;
+};
+
+// No-op until initSocket has run, so controllers can call it unconditionally.
+export const emitToUser = (userId, event, payload) => {
+  io?.to(userRoom(userId)).emit(event, payload);
+};
+
+// Whether the user has a socket connected to this server right now.
+export const isUserOnline = (userId) => Boolean(io?.sockets.adapter.rooms.get(userRoom(userId))?.size);
+
+// Drops every open socket of a user, e.g. right after a suspension or ban.
+export const disconnectUser = (userId) => {
+  io?.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Drops the sockets opened with one session's tokens, e.g. after logging that device out.
+export const disconnectSession = (sessionId) => {
+  io?.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
@@ -0,0 +1,21 @@
+import { uploadBufferToCloudinary, deleteFromCloudinary } from '../cloudinary.js';
+
+export const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  async save(buffer, { folder }) {
+    const { publicId, url } = await uploadBufferToCloudinary(buffer, `unimart/${folder}`);
+    return { key: publicId, url };
+  },
+
+  // Cloudinary files are read back through their public URL
+  async read(key, url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not download ${key}: HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  async remove(key) {
+    await deleteFromCloudinary(key);
+  },
+};
@@ -0,0 +1,33 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Served by express.static in app.js under /uploads
+export const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+export const diskStorage = {
+  name: 'local',
+
+  async save(buffer, { folder, extension }) {
+    const key = path.posix.join(folder, `${crypto.randomUUID()}.${extension}`);
+    const filePath = path.join(UPLOAD_DIR, key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+
+    return { key, url: `${process.env.PUBLIC_URL || ''}/uploads/${key}` };
+  },
+
+  async read(key) {
+    const filePath = path.join(UPLOAD_DIR, key);
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return fs.readFile(filePath);
+  },
+
+  async remove(key) {
+    const filePath = path.join(UPLOAD_DIR, key);
+    // Never follow a key outside the upload directory
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) return;
+    await fs.rm(filePath, { force: true });
+  },
+};
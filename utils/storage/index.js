@@ -0,0 +1,17 @@
+import { cloudinaryStorage } from './cloudinaryStorage.js';
+import { diskStorage } from './diskStorage.js';
+
+// Each adapter exposes save(buffer, { folder, contentType, extension }) -> { key, url },
+// read(key, url) -> Buffer and remove(key).
+const adapters = {
+  [cloudinaryStorage.name]: cloudinaryStorage,
+  [diskStorage.name]: diskStorage,
+};
+
+// STORAGE_DRIVER picks the backend for new uploads; local disk is the default so development
+// works offline. Existing files are always removed through the adapter that stored them.
+export const getStorage = (name = process.env.STORAGE_DRIVER || diskStorage.name) => {
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`Unknown storage driver: ${name}`);
+  return adapter;
+};
@@ -0,0 +1,13 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.js'],
+    setupFiles: ['tests/setup.js'],
+    env: {
+      JWT_SECRET: 'test-secret',
+      MAIL_TRANSPORT: 'memory',
+      RATE_LIMIT_STORE: 'memory',
+    },
+  },
+});
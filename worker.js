@@ -0,0 +1,17 @@
+import 'dotenv/config'; // first, so modules that read env at import time see .env values
+import { startWorker } from './utils/queue/index.js';
+import { jobHandlers, jobSchedules } from './utils/queue/handlers.js';
+
+// Runs queued jobs (emails, thumbnails, scheduled cleanups) outside the API process.
+// Start one or more with `npm run worker`.
+const worker = startWorker({ handlers: jobHandlers, schedules: jobSchedules });
+console.log(`👷 Worker ${worker.workerId} started`);
+
+const shutdown = async (signal) => {
+  console.log(`${signal} received, finishing the current job...`);
+  await worker.stop();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);